@@ -1,5 +1,253 @@
+// Ribbon commands that convert the selected cells in place (see selection.js), keeping
+// the original values in a backup sheet so that each conversion can be undone.
+
+const {
+  SELECTION_CONVERSIONS,
+  cellAddress,
+  convertCells,
+  isConvertedValue,
+} = require('./selection.js');
+const {loadConvertToTcStd, loadDefaultTcStd} = require('../taskpane/settings.js');
+
+/**
+ * Sheet of original values for undo (and the reasons for any cells not converted).
+ */
+const BACKUP_SHEET_NAME = 'Timecode Backup';
+
+/**
+ * Header row of the backup sheet. Each conversion appends a row per non-empty cell.
+ */
+const BACKUP_HEADER = [
+  'Conversion #', 'Converted to', 'Sheet', 'Cell', 'Original value', 'Original format',
+  'Result', 'Error',
+];
+
+/**
+ * Most errors to list in the task pane (the backup sheet lists them all).
+ */
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Status list in the task pane (which shares this runtime) for command results.
+ */
+const REPORT_STATUS_ID = 'convert-selection-status';
+
 Office.onReady(() => {
   // If needed, Office.js is ready to be called.
 });
 
-// No commands are part of this add-in...
+Office.actions.associate('normalizeTcSelection', (event) =>
+  runCommand(event, () => convertSelection('normalizeTc')));
+Office.actions.associate('tcToFrameIdxSelection', (event) =>
+  runCommand(event, () => convertSelection('tcToFrameIdx')));
+Office.actions.associate('frameIdxToTcSelection', (event) =>
+  runCommand(event, () => convertSelection('frameIdxToTc')));
+Office.actions.associate('convertTcStdSelection', (event) =>
+  runCommand(event, () => convertSelection('convertTcStd')));
+Office.actions.associate('undoSelectionConversion', (event) =>
+  runCommand(event, undoLastConversion));
+
+/**
+ * Runs a command, then reports its result in the task pane (which is opened if any
+ * cells weren't converted).
+ * @param {!Office.AddinCommands.Event} event
+ * @param {function(): !Promise<{lines: !Array<string>, isError: boolean}>} command
+ */
+async function runCommand(event, command) {
+  let report;
+  try {
+    report = await command();
+  } catch (err) {
+    report = {lines: [err.message], isError: true};
+  }
+
+  showReport(report);
+  if (report.isError) {
+    await Office.addin.showAsTaskpane();
+  }
+  event.completed();
+}
+
+/**
+ * @param {{lines: !Array<string>, isError: boolean}} report
+ */
+function showReport(report) {
+  const status = document.getElementById(REPORT_STATUS_ID);
+  if (!status) {
+    return;
+  }
+
+  status.textContent = '';
+  for (const line of report.lines) {
+    const item = document.createElement('li');
+    item.textContent = line;
+    item.classList.toggle('is-error', report.isError);
+    status.appendChild(item);
+  }
+}
+
+/**
+ * Converts the selected cells, leaving any it can't convert (or that have a formula)
+ * unchanged, and appends the original values to the backup sheet.
+ * @param {string} conversionName Key of SELECTION_CONVERSIONS.
+ * @return {!Promise<{lines: !Array<string>, isError: boolean}>}
+ */
+async function convertSelection(conversionName) {
+  if (!loadDefaultTcStd()) {
+    throw new Error('set a workbook default timecode standard in the task pane first');
+  }
+  const toOptions = loadConvertToTcStd();
+  if ((conversionName === 'convertTcStd') && !toOptions) {
+    throw new Error('set a timecode standard to convert to in the task pane first');
+  }
+  const conversion = SELECTION_CONVERSIONS[conversionName];
+
+  return Excel.run(async (context) => {
+    // Only the used part of the selection (e.g. of a whole selected column).
+    const selected = context.workbook.getSelectedRange();
+    const worksheet = selected.worksheet;
+    const range = selected.getIntersectionOrNullObject(worksheet.getUsedRange());
+    range.load(['values', 'formulas', 'numberFormat', 'rowIndex', 'columnIndex']);
+    worksheet.load('name');
+    await context.sync();
+    if (range.isNullObject) {
+      throw new Error('the selection has no values to convert');
+    }
+
+    const backupSheet = await getBackupSheet(context);
+    const backupRange = backupSheet.getUsedRange();
+    backupRange.load(['values', 'rowCount']);
+    await context.sync();
+
+    const cells = convertCells(range.values, range.formulas, conversionName, toOptions);
+    const conversionNum = lastConversionNum(backupRange.values) + 1;
+    const backupRows = [];
+    const errorLines = [];
+    for (const cell of cells) {
+      const address = cellAddress(range.rowIndex + cell.row, range.columnIndex + cell.col);
+      const numberFormat = range.numberFormat[cell.row][cell.col];
+      backupRows.push([conversionNum, conversion.label, worksheet.name, address,
+        cell.original, numberFormat, cell.result, cell.error]);
+      if (cell.error !== '') {
+        errorLines.push(`${address}: ${cell.error}`);
+        continue;
+      }
+
+      // Write text as text, so that Excel doesn't convert timecode into a time of day.
+      const target = range.getCell(cell.row, cell.col);
+      if (conversion.isText) {
+        target.numberFormat = [['@']];
+      } else if (numberFormat === '@') {
+        target.numberFormat = [['General']];
+      }
+      target.values = [[cell.result]];
+    }
+
+    if (backupRows.length > 0) {
+      const rows = backupSheet.getRangeByIndexes(
+          backupRange.rowCount, 0, backupRows.length, BACKUP_HEADER.length);
+      rows.numberFormat = backupRows.map((row) => row.map((value) =>
+        (typeof value === 'string') ? '@' : 'General'));
+      rows.values = backupRows;
+    }
+    await context.sync();
+
+    const numConverted = cells.length - errorLines.length;
+    const lines = [`Converted ${numConverted} cells to ${conversion.label}.`];
+    if (errorLines.length > 0) {
+      lines.push(`${errorLines.length} cells were not converted:`,
+          ...errorLines.slice(0, MAX_REPORTED_ERRORS));
+      if (errorLines.length > MAX_REPORTED_ERRORS) {
+        lines.push(`(see the ${BACKUP_SHEET_NAME} sheet for the rest)`);
+      }
+    }
+    return {lines: lines, isError: errorLines.length > 0};
+  });
+}
+
+/**
+ * Restores the cells of the last conversion in the backup sheet to their original
+ * values and formats, then removes its rows (so that undo can be repeated). Cells that
+ * were edited after the conversion are left as they are, and reported with their
+ * original values.
+ * @return {!Promise<{lines: !Array<string>, isError: boolean}>}
+ */
+async function undoLastConversion() {
+  return Excel.run(async (context) => {
+    const backupSheet = await getBackupSheet(context);
+    const backupRange = backupSheet.getUsedRange();
+    backupRange.load('values');
+    await context.sync();
+
+    const rows = backupRange.values;
+    const lastNum = lastConversionNum(rows);
+    const firstIdx = rows.findIndex((row, idx) => (idx > 0) && (row[0] === lastNum));
+    if (firstIdx < 0) {
+      throw new Error('there is no conversion to undo');
+    }
+
+    // Rows of a conversion are appended together, so they are the last rows.
+    const conversionRows = rows.slice(firstIdx);
+    const targets = [];
+    for (const row of conversionRows) {
+      const [, , sheetName, address, , , , error] = row;
+      if (error !== '') {
+        continue;
+      }
+      const cell = context.workbook.worksheets.getItem(sheetName).getRange(address);
+      cell.load('values');
+      targets.push({cell: cell, row: row});
+    }
+    await context.sync();
+
+    let numRestored = 0;
+    const changedLines = [];
+    for (const {cell, row: [, , sheetName, address, original, numberFormat, result]} of targets) {
+      if (!isConvertedValue(cell.values[0][0], result)) {
+        changedLines.push(`${sheetName}!${address}: original value "${original}"`);
+        continue;
+      }
+      cell.numberFormat = [[numberFormat]];
+      cell.values = [[original]];
+      ++numRestored;
+    }
+    backupSheet.getRangeByIndexes(firstIdx, 0, conversionRows.length, BACKUP_HEADER.length)
+        .delete(Excel.DeleteShiftDirection.up);
+    await context.sync();
+
+    const lines = [`Restored ${numRestored} cells converted to ${conversionRows[0][1]}.`];
+    if (changedLines.length > 0) {
+      lines.push(`${changedLines.length} cells were changed after the conversion, so they ` +
+          'were not restored:', ...changedLines.slice(0, MAX_REPORTED_ERRORS));
+      if (changedLines.length > MAX_REPORTED_ERRORS) {
+        lines.push(`(and ${changedLines.length - MAX_REPORTED_ERRORS} more)`);
+      }
+    }
+    return {lines: lines, isError: changedLines.length > 0};
+  });
+}
+
+/**
+ * @param {!Excel.RequestContext} context
+ * @return {!Promise<!Excel.Worksheet>} The backup sheet (added with a header row, if
+ *     the workbook doesn't have one yet).
+ */
+async function getBackupSheet(context) {
+  let sheet = context.workbook.worksheets.getItemOrNullObject(BACKUP_SHEET_NAME);
+  await context.sync();
+  if (sheet.isNullObject) {
+    sheet = context.workbook.worksheets.add(BACKUP_SHEET_NAME);
+    const header = sheet.getRangeByIndexes(0, 0, 1, BACKUP_HEADER.length);
+    header.values = [BACKUP_HEADER];
+    header.format.font.bold = true;
+  }
+  return sheet;
+}
+
+/**
+ * @param {!Array<!Array<*>>} backupRows Values of the backup sheet (with its header row).
+ * @return {number} Number of the last conversion, or 0 if there are none.
+ */
+function lastConversionNum(backupRows) {
+  return backupRows.slice(1).reduce((num, row) => Math.max(num, Number(row[0]) || 0), 0);
+}
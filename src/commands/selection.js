@@ -0,0 +1,164 @@
+// In-place conversions of selected cell values between timecode representations (for
+// the ribbon commands), using the custom functions themselves so results always match.
+
+const {
+  FRAMEIDX_TO_TC,
+  TC_CONVERT,
+  TC_TO_FRAMEIDX,
+} = require('../functions/functions.js');
+
+/** @private */
+const TC_DIGITS_STR_FMT_ = /^[0-9]{8,9}$/;
+
+/** @private */
+const FRAMEIDX_STR_FMT_ = /^[0-9]+$/;
+
+/**
+ * @typedef {{
+ *   frameRate: string,
+ *   dropType: string,
+ *   mode: string,
+ * }} ConvertToOptions Timecode standard (and TC_CONVERT mode) to convert to.
+ */
+
+/**
+ * @typedef {{
+ *   label: string,
+ *   isText: boolean,
+ *   convert: function(*, ?ConvertToOptions): (string|number),
+ * }} SelectionConversion Conversion of a single cell value, which uses the workbook's
+ *     default timecode standard (and throws an error for values it can't convert).
+ */
+
+/**
+ * Conversions by name.
+ * @type {!Object<string, SelectionConversion>}
+ */
+const SELECTION_CONVERSIONS = {
+  // HHMMSSFF digits, or any separators (e.g. ';' in non-drop), to "HH:MM:SS:FF" text.
+  normalizeTc: {
+    label: 'timecode text',
+    isText: true,
+    convert: (value) => FRAMEIDX_TO_TC(TC_TO_FRAMEIDX(cleanTc_(value))),
+  },
+  tcToFrameIdx: {
+    label: 'frame index',
+    isText: false,
+    convert: (value) => TC_TO_FRAMEIDX(cleanTc_(value)),
+  },
+  frameIdxToTc: {
+    label: 'timecode',
+    isText: true,
+    convert: (value) => FRAMEIDX_TO_TC(parseFrameIdx_(value)),
+  },
+  convertTcStd: {
+    label: 'converted timecode',
+    isText: true,
+    convert: (value, toOptions) => TC_CONVERT(cleanTc_(value), undefined, undefined,
+        toOptions.frameRate, toOptions.dropType, toOptions.mode),
+  },
+};
+
+/**
+ * @typedef {{
+ *   row: number,
+ *   col: number,
+ *   original: *,
+ *   result: (string|number),
+ *   error: string,
+ * }} CellConversion Result (or error, leaving the cell unchanged) of a converted cell,
+ *     at its row and column index within the selection.
+ */
+
+/**
+ * Converts each non-empty cell of the selection. Cells with a formula aren't converted.
+ * @param {!Array<!Array<*>>} values
+ * @param {!Array<!Array<*>>} formulas
+ * @param {string} conversionName Key of SELECTION_CONVERSIONS.
+ * @param {?ConvertToOptions} toOptions Required to convert timecode standards.
+ * @return {!Array<CellConversion>}
+ */
+function convertCells(values, formulas, conversionName, toOptions) {
+  const conversion = SELECTION_CONVERSIONS[conversionName];
+  const cells = [];
+  values.forEach((rowValues, row) => rowValues.forEach((original, col) => {
+    if (original === '') {
+      return;
+    }
+
+    const cell = {row: row, col: col, original: original, result: '', error: ''};
+    try {
+      if ((typeof formulas[row][col] === 'string') && formulas[row][col].startsWith('=')) {
+        throw new Error('cell has a formula');
+      }
+      cell.result = conversion.convert(original, toOptions);
+    } catch (err) {
+      cell.error = err.message;
+    }
+    cells.push(cell);
+  }));
+  return cells;
+}
+
+/**
+ * @param {number} rowIndex
+ * @param {number} columnIndex
+ * @return {string} A1-style address (e.g. "B12").
+ */
+function cellAddress(rowIndex, columnIndex) {
+  let column = '';
+  for (let n = columnIndex + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    column = String.fromCharCode(65 + ((n - 1) % 26)) + column;
+  }
+  return `${column}${rowIndex + 1}`;
+}
+
+/**
+ * @param {*} value Current value of a converted cell.
+ * @param {*} result Value that the conversion wrote to the cell (from the backup sheet).
+ * @return {boolean} Whether the cell still holds the conversion's result, so that undo
+ *     doesn't overwrite a later edit.
+ */
+function isConvertedValue(value, result) {
+  // Compare as text, since a cell may read back a number written as text (or vice versa).
+  return String(value) === String(result);
+}
+
+/**
+ * @param {*} value
+ * @return {*} Timecode value without HHMMSSFF digits (as in "01000000") or semi-colon
+ *     separators, which the custom functions only accept as numbers or in drop frame.
+ * @private
+ */
+function cleanTc_(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  if (TC_DIGITS_STR_FMT_.test(trimmed)) {
+    return Number(trimmed);
+  }
+  return trimmed.replace(/;/g, ':');
+}
+
+/**
+ * @param {*} value
+ * @return {number}
+ * @private
+ */
+function parseFrameIdx_(value) {
+  const frameIdx = (typeof value === 'string') && FRAMEIDX_STR_FMT_.test(value.trim()) ?
+      Number(value.trim()) : value;
+  if (!Number.isInteger(frameIdx) || (frameIdx < 0)) {
+    throw new Error(`frame index must be a non-negative integer: "${value}"`);
+  }
+  return frameIdx;
+}
+
+module.exports = {
+  SELECTION_CONVERSIONS: SELECTION_CONVERSIONS,
+  cellAddress: cellAddress,
+  convertCells: convertCells,
+  isConvertedValue: isConvertedValue,
+};
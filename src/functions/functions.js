@@ -17,15 +17,94 @@
 // - TIMECODE.WALL_SECS_BETWEEN_TCS("00:00:01:03", "00:02:05:11", "24.00", "non-drop"):
 //       124.33333333... secs (wall time)
 // - TIMECODE.WALL_SECS_TO_DURSTR(3765): "1h 02m 45s" (human-readable duration string)
+// - TIMECODE.WALL_SECS_TO_DURSTR(165.3, "primes", 1): "2′45.3″" (other duration formats)
+// - TIMECODE.DURSTR_TO_WALL_SECS("1h 02m 45s"): 3765 secs (wall time, from any duration format)
 // - TIMECODE.WALL_SECS_TO_TC_LEFT(1.041, "50.00", "non-drop"): "00:00:01:02" (timecode <= wallSecs)
 // - TIMECODE.WALL_SECS_TO_TC_RIGHT(1.041, "50.00", "non-drop"): "00:00:01:03" (timecode >= wallSecs)
+// - TIMECODE.WALL_SECS_TO_TC_NEAREST(1.05, "50.00", "non-drop"): "00:00:01:03" (nearest timecode)
 // - TIMECODE.TC_ERROR("01:02:03:04", "23.976", "non-drop"): error string if invalid
+// - TIMECODE.TC_TO_WALL_SECS("00:01:00;02", "29.97 DF"): 60.06 secs (combined standard string)
+//
+// Every function also accepts cell ranges, and returns a matching range of results:
+// - TIMECODE.TC_TO_WALL_SECS(A2:A1000, "23.976", "non-drop"): wall time of each timecode
+//
+// - TIMECODE.WALL_SECS_TO_TC_SUBFRAMES_LEFT(1.041, "50.00", "non-drop"): "00:00:01:02.05"
+// - TIMECODE.WALL_SECS_TO_TC_SUBFRAMES_RIGHT(1.041, "50.00", "non-drop"): "00:00:01:02.05"
+// - TIMECODE.TC_TO_WALL_SECS("00:00:01:02.50", "50.00", "non-drop"): 1.05 secs (wall time)
 //
 // - TIMECODE.TC_TO_FRAMEIDX("00:00:01:02", "50.00", "non-drop"): 52 (frame index)
 // - TIMECODE.FRAMEIDX_TO_TC(52, "50.00", "non-drop"): "00:00:01:02" (timecode)
+// - TIMECODE.FRAMEIDX_TO_TC(-1, "24.00", "non-drop", "wrap"): "23:59:59:23" (midnight rollover)
+// - TIMECODE.FRAMEIDX_TO_TC(-48, "24.00", "non-drop", "signed"): "-00:00:02:00" (signed)
 // - TIMECODE.FRAMEIDX_TO_WALL_SECS(52, "50.00", "non-drop"): 1.04 secs (wall time)
 // - TIMECODE.WALL_SECS_TO_FRAMEIDX_LEFT(1.041, "50.00", "non-drop"): 52 (frame index <= time)
 // - TIMECODE.WALL_SECS_TO_FRAMEIDX_RIGHT(1.041, "50.00", "non-drop"): 53 (frame index >= time)
+// - TIMECODE.WALL_SECS_TO_FRAMEIDX_RIGHT(1.0400000001, "50.00", "non-drop"): 52 (snaps to 1.04)
+//
+// - TIMECODE.TC_TO_SAMPLES("01:00:00:00", 48000, "23.976", "non-drop"): 172972800 (samples)
+// - TIMECODE.FRAMEIDX_TO_SAMPLES(24, 48000, "24.00", "non-drop"): 48000 (samples)
+// - TIMECODE.SAMPLES_TO_WALL_SECS(72000, 48000): 1.5 secs (wall time)
+// - TIMECODE.WALL_SECS_TO_SAMPLES_LEFT(1.00001, 48000): 48000 (samples <= wallSecs)
+// - TIMECODE.WALL_SECS_TO_SAMPLES_RIGHT(1.00001, 48000): 48001 (samples >= wallSecs)
+// - TIMECODE.SAMPLES_TO_FRAMEIDX_LEFT(50001, 48000, "24.00", "non-drop"): 25 (frame index)
+// - TIMECODE.SAMPLES_TO_FRAMEIDX_RIGHT(50001, 48000, "24.00", "non-drop"): 26 (frame index)
+// - TIMECODE.SAMPLES_TO_TC_LEFT(50001, 48000, "24.00", "non-drop"): "00:00:01:01"
+// - TIMECODE.SAMPLES_TO_TC_RIGHT(50001, 48000, "24.00", "non-drop"): "00:00:01:02"
+//
+// - TIMECODE.TC_TO_FEET_FRAMES("00:00:01:02", "35mm 4-perf", "24.00", "non-drop"): "1+10"
+// - TIMECODE.FEET_FRAMES_TO_TC("1+10", "35mm 4-perf", "24.00", "non-drop"): "00:00:01:02"
+// - TIMECODE.FRAMEIDX_TO_FEET_FRAMES(26, "35mm 4-perf"): "1+10" (feet+frames)
+// - TIMECODE.FEET_FRAMES_TO_FRAMEIDX("1+10", "35mm 4-perf"): 26 (frame index)
+//
+// - TIMECODE.TC_ADD("00:59:58:00", "00:00:03:12", "24.00", "non-drop"): "01:00:01:12"
+// - TIMECODE.TC_SUBTRACT("01:00:01:12", "00:00:03:12", "24.00", "non-drop"): "00:59:58:00"
+// - TIMECODE.TC_OFFSET_FRAMES("00:00:59:29", 1, "29.97", "drop"): "00:01:00:02"
+// - TIMECODE.TC_OFFSET_WALL_SECS_LEFT("00:00:01:00", 0.03, "50.00", "non-drop"): "00:00:01:01"
+// - TIMECODE.TC_OFFSET_WALL_SECS_RIGHT("00:00:01:00", 0.03, "50.00", "non-drop"): "00:00:01:02"
+//
+// - TIMECODE.TC_CONVERT("01:00:00:00", "23.976", "non-drop", "29.97", "drop", "nearest"):
+//       "01:00:03:18" (same wall time, in a different standard)
+//
+// - TIMECODE.TC_TO_CLOCKSTR("00:00:01:12", "24.00", "non-drop", "srt"): "00:00:01,500"
+// - TIMECODE.WALL_SECS_TO_CLOCKSTR(3723.456): "01:02:03.456" (clock time string)
+// - TIMECODE.CLOCKSTR_TO_WALL_SECS("01:02:03,456"): 3723.456 secs (wall time)
+// - TIMECODE.CLOCKSTR_TO_TC_LEFT("00:00:01.030", "50.00", "non-drop"): "00:00:01:01"
+// - TIMECODE.CLOCKSTR_TO_TC_RIGHT("00:00:01.030", "50.00", "non-drop"): "00:00:01:02"
+// - TIMECODE.CLOCKSTR_TO_TC_NEAREST("00:00:01.030", "50.00", "non-drop"): "00:00:01:02"
+//
+// - TIMECODE.TC_TO_BARS_BEATS("01:00:02:12", "01:00:00:00", 120, "4/4", "24.00", "non-drop"):
+//       "2|2|000" (bar|beat|tick musical position)
+// - TIMECODE.BARS_BEATS_TO_TC_LEFT("2|2|000", "01:00:00:00", 120, "4/4", "24.00", "non-drop"):
+//       "01:00:02:12" (timecode <= musical position)
+// - TIMECODE.BARS_BEATS_TO_TC_RIGHT("2|2|000", "01:00:00:00", 120, "4/4", "24.00", "non-drop"):
+//       "01:00:02:12" (timecode >= musical position)
+// - TIMECODE.TEMPO_MAP_TC_TO_BARS_BEATS("01:00:06:00", A2:D9, "01:00:00:00", "24.00", "non-drop"):
+//       "3|3|000" (musical position, following a tempo map range)
+// - TIMECODE.TEMPO_MAP_BARS_BEATS_TO_TC_LEFT("3|3", A2:D9, "01:00:00:00", "24.00", "non-drop"):
+//       "01:00:06:00" (timecode <= musical position, following a tempo map range)
+// - TIMECODE.TEMPO_MAP_BARS_BEATS_TO_TC_RIGHT("3|3", A2:D9, "01:00:00:00", "24.00", "non-drop"):
+//       "01:00:06:00" (timecode >= musical position, following a tempo map range)
+// - TIMECODE.HIT_POINT_TEMPOS("01:00:00:00", A2:A6, 90, 130, 1, "24.00", "non-drop"):
+//       table of tempos that land hit points near beats
+//
+// - TIMECODE.TC_TO_REEL("02:10:00:00", "24.00", "non-drop"): 2 (reel 1 starts at 01:00:00:00)
+// - TIMECODE.TC_TO_REEL_TC("02:10:00:00", "24.00", "non-drop", 1, 8): "00:09:52:00"
+// - TIMECODE.REEL_TC_TO_TC("00:09:52:00", 2, "24.00", "non-drop", 1, 8): "02:10:00:00"
+// - TIMECODE.CUE_ID(1, 3): "1M03" (music cue ID)
+// - TIMECODE.CUE_ID_TO_REEL("2M14"): 2
+// - TIMECODE.CUE_ID_TO_NUMBER("R3M2"): 2
+//
+// - TIMECODE.CUE_OVERLAPS(A2:A50, B2:B50, "23.976", "non-drop", C2:C50, D2:D50):
+//       table of overlapping cues on the same track
+// - TIMECODE.CUE_GAPS(A2:A50, B2:B50, "23.976", "non-drop", 5): table of gaps between cues
+// - TIMECODE.CUE_TOTAL_WALL_SECS(A2:A50, B2:B50, "23.976", "non-drop"):
+//       total secs of music (wall time, counting overlaps once)
+//
+// - TIMECODE.EDL_TO_TABLE(A1:A200, "23.976", "non-drop"): table of CMX3600 EDL events
+// - TIMECODE.CONFORM_TCS("01:00:12:00", F2:F40, G2:G40, H2:H40, "24.00", "non-drop"):
+//       cue timecode in the new cut (following a change list of picture moves)
+// - TIMECODE.CONFORM_TCS_EDL("01:00:12:00", A1:A200, B1:B200, "24.00", "non-drop"):
+//       cue timecode in the new cut (following old and new EDLs)
 
 
 //==================================================================================================
@@ -42,9 +121,176 @@
  function inputValueErr_(msg) {
   // NOTE: Microsoft Excel requires a specific Error type, while Google Sheets
   // just displays the error message from any Error object.
+  if (typeof CustomFunctions === 'undefined') {
+    return new Error(msg);  // Called from the task pane (not a custom function).
+  }
   return new CustomFunctions.Error(CustomFunctions.ErrorCode.invalidValue, msg);
 }
 
+/**
+ * Document settings keys of the workbook's default timecode standard (saved from the
+ * task pane settings panel).
+ */
+const DEFAULT_FRAME_RATE_SETTING = 'timecode.defaultFrameRate';
+const DEFAULT_DROP_TYPE_SETTING = 'timecode.defaultDropType';
+
+/**
+ * @return {?{frameRate: string, dropType: (string|undefined)}} The workbook's default
+ *     timecode standard, or null if none is set.
+ * @private
+ */
+function defaultTcStdSetting_() {
+  // NOTE: Custom functions can only read document settings in a shared runtime
+  // (with the task pane), so there is no default elsewhere.
+  if ((typeof Office === 'undefined') || !Office.context || !Office.context.document) {
+    return null;
+  }
+
+  const settings = Office.context.document.settings;
+  const frameRate = settings.get(DEFAULT_FRAME_RATE_SETTING);
+  if (isOmitted_(frameRate)) {
+    return null;
+  }
+  const dropType = settings.get(DEFAULT_DROP_TYPE_SETTING);
+  return {frameRate: frameRate, dropType: isOmitted_(dropType) ? undefined : dropType};
+}
+
+/**
+ * Parsed timecode standards, keyed by their input values. Large ranges tend
+ * to repeat the same frameRate and dropType in every row.
+ * @private
+ */
+const TC_STD_CACHE_ = new Map();
+
+/**
+ * @param {string|undefined} frameRateStr Uses the workbook's default timecode standard
+ *     (see defaultTcStdSetting_) if omitted.
+ * @param {string|undefined} dropTypeStr
+ * @param {number=} subframes Optional subframes per frame (defaults to 100).
+ * @return {TimecodeStandard} Shared parsed standard (which must not be modified).
+ * @private
+ */
+function parseTcStd_(frameRateStr, dropTypeStr, subframes) {
+  if (isOmitted_(frameRateStr)) {
+    const defaultTcStd = defaultTcStdSetting_();
+    if (!defaultTcStd) {
+      throw inputValueErr_('frameRate is required (or set a default timecode standard for the ' +
+          'workbook in the task pane)');
+    }
+    frameRateStr = defaultTcStd.frameRate;
+    if (isOmitted_(dropTypeStr)) {
+      dropTypeStr = defaultTcStd.dropType;
+    }
+  }
+
+  const key = JSON.stringify([frameRateStr, dropTypeStr, subframes]);
+  let tcStd = TC_STD_CACHE_.get(key);
+  if (!tcStd) {
+    tcStd = parseUncachedTcStd_(frameRateStr, dropTypeStr, subframes);
+    TC_STD_CACHE_.set(key, tcStd);
+  }
+  return tcStd;
+}
+
+/**
+ * @param {Error} err Error thrown while computing one cell of a range result.
+ * @return {*} Value to display in that cell.
+ * @private
+ */
+function cellErrValue_(err) {
+  // NOTE: Microsoft Excel displays Error values within a returned array.
+  if ((typeof CustomFunctions !== 'undefined') && (err instanceof CustomFunctions.Error)) {
+    return err;
+  }
+  return inputValueErr_(err.message);
+}
+
+/**
+ * @param {!Arguments|!Array<*>} args Arguments of a custom function call.
+ * @return {boolean} Whether any argument is a 2D range of values.
+ * @private
+ */
+function isRangeCall_(args) {
+  return Array.prototype.some.call(args, Array.isArray);
+}
+
+/**
+ * @param {number} size Size of the result so far along one dimension.
+ * @param {number} argSize Size of an argument range along the same dimension.
+ * @return {number} Size of the result including the argument range.
+ * @private
+ */
+function broadcastRangeSize_(size, argSize) {
+  if ((argSize === 1) || (argSize === size)) {
+    return size;
+  }
+  if (size === 1) {
+    return argSize;
+  }
+  throw inputValueErr_('Input ranges must have the same number of rows and columns ' +
+      '(or a single row, column, or cell)');
+}
+
+/**
+ * Calls fn once per cell of the input ranges, returning a 2D array of results
+ * (which spills in Excel). Single values and single-row or single-column ranges
+ * are repeated to match the other ranges (e.g. a column of timecode values with
+ * a single frameRate and dropType).
+ *
+ * Errors in a single cell are returned inline, so that the rest of the range
+ * still displays. Cells with an empty first argument (e.g. blank rows) yield
+ * an empty string.
+ * @param {function(...*): *} fn Custom function to call with single values.
+ * @param {!Arguments|!Array<*>} args Arguments, any of which may be 2D ranges.
+ * @return {!Array<!Array<*>>}
+ * @private
+ */
+function mapRanges_(fn, args) {
+  args = Array.from(args);
+
+  let numRows = 1;
+  let numCols = 1;
+  for (const arg of args) {
+    if (Array.isArray(arg)) {
+      if ((arg.length === 0) || !Array.isArray(arg[0]) || (arg[0].length === 0)) {
+        throw inputValueErr_('Input ranges must be non-empty 2D ranges');
+      }
+      numRows = broadcastRangeSize_(numRows, arg.length);
+      numCols = broadcastRangeSize_(numCols, arg[0].length);
+    }
+  }
+
+  const isSingleCell = (numRows === 1) && (numCols === 1);
+  const results = [];
+  for (let row = 0; row < numRows; ++row) {
+    const rowResults = [];
+    for (let col = 0; col < numCols; ++col) {
+      const cellArgs = args.map((arg) => {
+        if (!Array.isArray(arg)) {
+          return arg;
+        }
+        const argRow = arg[(arg.length === 1) ? 0 : row];
+        return argRow[(argRow.length === 1) ? 0 : col];
+      });
+
+      if (isSingleCell) {
+        // Errors for a single cell behave just like a single value call.
+        rowResults.push(fn(...cellArgs));
+      } else if (isOmitted_(cellArgs[0])) {
+        rowResults.push('');
+      } else {
+        try {
+          rowResults.push(fn(...cellArgs));
+        } catch (err) {
+          rowResults.push(cellErrValue_(err));
+        }
+      }
+    }
+    results.push(rowResults);
+  }
+  return results;
+}
+
 
 //==================================================================================================
 // Common Code
@@ -79,6 +325,14 @@
   '59.94': {frames: 60000, perWallSecs: 1001},   // 59.94005994005994...
   '60.000': {frames: 60, perWallSecs: 1},
   '60.00': {frames: 60, perWallSecs: 1},
+  '96.000': {frames: 96, perWallSecs: 1},
+  '96.00': {frames: 96, perWallSecs: 1},
+  '100.000': {frames: 100, perWallSecs: 1},
+  '100.00': {frames: 100, perWallSecs: 1},
+  '119.880': {frames: 120000, perWallSecs: 1001},  // 119.88011988011988...
+  '119.88': {frames: 120000, perWallSecs: 1001},   // 119.88011988011988...
+  '120.000': {frames: 120, perWallSecs: 1},
+  '120.00': {frames: 120, perWallSecs: 1},
 };
 
 /**
@@ -91,10 +345,49 @@ const DROP_FRAMES_PER_10MINS_ = {
   '29.97': 18,   // First 2 frames of minutes x1, x2, ..., x9.
   '59.940': 36,  // First 4 frames of minutes x1, x2, ..., x9.
   '59.94': 36,   // First 4 frames of minutes x1, x2, ..., x9.
+  '119.880': 72,  // First 8 frames of minutes x1, x2, ..., x9.
+  '119.88': 72,   // First 8 frames of minutes x1, x2, ..., x9.
 };
 
 /** @private */
-const FRAME_RATE_STR_FMT_ = /^[0-9][0-9].[0-9][0-9][0-9]?$/;
+const FRAME_RATE_STR_FMT_ = /^[0-9][0-9][0-9]?\.[0-9][0-9][0-9]?$/;
+
+/** @private */
+const FRAME_RATE_RATIO_STR_FMT_ = /^([0-9]+)\s*\/\s*([0-9]+)$/;
+
+/**
+ * Frame rate without a period (e.g. "2997" for 29.97 or "23976" for 23.976).
+ * @private
+ */
+const FRAME_RATE_DIGITS_STR_FMT_ = /^[0-9]{4,6}$/;
+
+/**
+ * Frame rate combined with an optional "p" (progressive) suffix and drop type
+ * (e.g. "29.97DF", "2997 NDF", or "23.98p").
+ * @private
+ */
+const COMBINED_TC_STD_STR_FMT_ = /^(.*?[0-9])\s*(?:p(?![a-z]))?\s*([a-z][a-z\s_-]*)?$/i;
+
+/**
+ * Accepted dropType spellings (lowercase, without spaces, dashes, or underscores).
+ * @private
+ */
+const DROP_TYPE_ALIASES_ = {
+  'drop': 'drop',
+  'dropframe': 'drop',
+  'df': 'drop',
+  'd': 'drop',
+  'nondrop': 'non-drop',
+  'nondropframe': 'non-drop',
+  'ndf': 'non-drop',
+  'nd': 'non-drop',
+};
+
+/**
+ * Timecode standards above this frame rate use 3 digits for FF (e.g. "00:00:01:105").
+ * @private
+ */
+const MAX_2_DIGIT_FF_FPS_ = 100;
 
 /**
  * Internal configuration data for a timecode standard.
@@ -103,36 +396,49 @@ const FRAME_RATE_STR_FMT_ = /^[0-9][0-9].[0-9][0-9][0-9]?$/;
  *   perWallSecs: number,
  *   intFps: number,
  *   dropFramesPer10Mins: number,
+ *   subframesPerFrame: number,
  * }} TimecodeStandard
  */
 
+/** @private */
+const DEFAULT_SUBFRAMES_PER_FRAME_ = 100;
+
 /**
  * @param {string} frameRateStr
  * @param {string} dropTypeStr
+ * @param {number=} subframes
  * @return {TimecodeStandard}
  * @private
  */
-function parseTcStd_(frameRateStr, dropTypeStr) {
-  if (typeof frameRateStr !== 'string') {
-    throw inputValueErr_('frameRate must be a single plain text value');
+function parseUncachedTcStd_(frameRateStr, dropTypeStr, subframes) {
+  // Split any drop type from a combined standard (e.g. "29.97 DF").
+  let combinedDropType;
+  if (typeof frameRateStr === 'string') {
+    const matches = frameRateStr.trim().match(COMBINED_TC_STD_STR_FMT_);
+    if (matches) {
+      frameRateStr = matches[1];
+      if (matches[2] !== undefined) {
+        combinedDropType = parseDropType_(matches[2]);
+      }
+    }
   }
-  frameRateStr = frameRateStr.trim();
 
-  if (!FRAME_RATE_STR_FMT_.test(frameRateStr)) {
-    throw inputValueErr_(
-        'frameRate must contain 2 or 3 digits after period (e.g. "23.976" or "24.00")');
-  }
+  frameRateStr = parseFrameRateKey_(frameRateStr);
   const frameRate = FRAME_RATES_[frameRateStr];
-  if (!frameRate) {
-    throw inputValueErr_(`Unsupported frame rate: "${frameRateStr}"`);
-  }
 
-  if (typeof dropTypeStr !== 'string') {
-    throw inputValueErr_('dropType must be a single plain text value');
-  }
-  dropTypeStr = dropTypeStr.trim().toLowerCase();
-  if ((dropTypeStr !== 'drop') && (dropTypeStr !== 'non-drop')) {
-    throw inputValueErr_('dropType value must be "non-drop" or "drop" (without quotes)');
+  if (!isOmitted_(dropTypeStr)) {
+    dropTypeStr = parseDropType_(dropTypeStr);
+    if ((combinedDropType !== undefined) && (combinedDropType !== dropTypeStr)) {
+      throw inputValueErr_(`dropType "${dropTypeStr}" does not match frameRate drop type ` +
+          `"${combinedDropType}"`);
+    }
+  } else if (combinedDropType !== undefined) {
+    dropTypeStr = combinedDropType;
+  } else if (frameRateStr in DROP_FRAMES_PER_10MINS_) {
+    throw inputValueErr_(`frameRate ${frameRateStr} needs a dropType of "drop" or "non-drop" ` +
+        `(or a combined standard like "${frameRateStr} DF" or "${frameRateStr} NDF")`);
+  } else {
+    dropTypeStr = 'non-drop';
   }
 
   let dropFramesPer10Mins = 0;
@@ -143,17 +449,109 @@ function parseTcStd_(frameRateStr, dropTypeStr) {
     dropFramesPer10Mins = DROP_FRAMES_PER_10MINS_[frameRateStr];
   }
 
+  let subframesPerFrame = DEFAULT_SUBFRAMES_PER_FRAME_;
+  if (!isOmitted_(subframes)) {
+    if (!Number.isInteger(subframes) || (subframes < 1) || (100 < subframes)) {
+      throw inputValueErr_('subframes must be an integer in [1, 100] range (e.g. 100 or 80)');
+    }
+    subframesPerFrame = subframes;
+  }
+
   return {
     frames: frameRate.frames,
     perWallSecs: frameRate.perWallSecs,
     intFps: Math.ceil(frameRate.frames / frameRate.perWallSecs),
     dropFramesPer10Mins: dropFramesPer10Mins,
+    subframesPerFrame: subframesPerFrame,
   };
 }
 
 /**
- * Parsed numerical timecode.
- * @typedef {{hh: number, mm: number, ss: number, ff: number}} ParsedTimecode
+ * @param {string} dropType
+ * @return {string} "drop" or "non-drop".
+ * @private
+ */
+function parseDropType_(dropType) {
+  if (typeof dropType !== 'string') {
+    throw inputValueErr_('dropType must be a single plain text value');
+  }
+
+  const alias = dropType.trim().toLowerCase().replace(/[\s_-]+/g, '');
+  if (!(alias in DROP_TYPE_ALIASES_)) {
+    throw inputValueErr_('dropType value must be "drop" (or "DF", "D", "drop frame") or ' +
+        '"non-drop" (or "NDF", "ND", "non-drop frame"), without quotes');
+  }
+  return DROP_TYPE_ALIASES_[alias];
+}
+
+/**
+ * @param {string|number} frameRate Frame rate string (e.g. "23.976" or "2398"), exact ratio
+ *     string (e.g. "24000/1001"), or number exactly equal to a supported rate.
+ * @return {string} Key of the frame rate in FRAME_RATES_.
+ * @private
+ */
+function parseFrameRateKey_(frameRate) {
+  if (typeof frameRate === 'number') {
+    const key = Object.keys(FRAME_RATES_).find((key) => Number(key) === frameRate);
+    if (key === undefined) {
+      throw inputValueErr_(`Unsupported frame rate: ${frameRate}`);
+    }
+    return key;
+  }
+
+  if (typeof frameRate !== 'string') {
+    throw inputValueErr_('frameRate must be a single plain text value or number');
+  }
+  frameRate = frameRate.trim();
+
+  const ratioMatches = frameRate.match(FRAME_RATE_RATIO_STR_FMT_);
+  if (ratioMatches) {
+    const frames = Number(ratioMatches[1]);
+    const perWallSecs = Number(ratioMatches[2]);
+    const key = Object.keys(FRAME_RATES_).find((key) =>
+        (FRAME_RATES_[key].frames * perWallSecs) === (frames * FRAME_RATES_[key].perWallSecs));
+    if ((perWallSecs === 0) || (key === undefined)) {
+      throw inputValueErr_(`Unsupported frame rate: "${frameRate}"`);
+    }
+    return key;
+  }
+
+  if (FRAME_RATE_DIGITS_STR_FMT_.test(frameRate)) {
+    // Insert the period after the 2 or 3 digit integer part (e.g. "2997" or "11988").
+    const keys = [2, 3].map((numIntDigits) =>
+        `${frameRate.slice(0, numIntDigits)}.${frameRate.slice(numIntDigits)}`);
+    const key = keys.find((key) => FRAME_RATE_STR_FMT_.test(key) && (key in FRAME_RATES_));
+    if (key === undefined) {
+      throw inputValueErr_(`Unsupported frame rate: "${frameRate}"`);
+    }
+    return key;
+  }
+
+  if (!FRAME_RATE_STR_FMT_.test(frameRate)) {
+    throw inputValueErr_('frameRate must contain 2 or 3 digits after period (e.g. "23.976", ' +
+        '"24.00", or "29.97 DF"), be written without the period (e.g. "2997 NDF"), or be an ' +
+        'exact ratio (e.g. "24000/1001")');
+  }
+  if (!(frameRate in FRAME_RATES_)) {
+    throw inputValueErr_(`Unsupported frame rate: "${frameRate}"`);
+  }
+  return frameRate;
+}
+
+/**
+ * Parsed numerical timecode. Negative timecode (e.g. "-00:00:02:00") is only
+ * valid with "signed" overflow. Subframes (sf) are only present in timecode
+ * with a subframe field (e.g. "00:00:01:02.50"). ffDigits is only present in
+ * plain text timecode.
+ * @typedef {{
+ *   negative: (boolean|undefined),
+ *   hh: number,
+ *   mm: number,
+ *   ss: number,
+ *   ff: number,
+ *   ffDigits: (number|undefined),
+ *   sf: (number|undefined),
+ * }} ParsedTimecode
  */
 
 /**
@@ -162,13 +560,14 @@ function parseTcStd_(frameRateStr, dropTypeStr) {
  * @private
  */
 function parseTc_(timecode) {
-  // If in number format, must be a positive integer in range [0, 99999999].
+  // If in number format, must be an integer in range [-99999999, 99999999].
   if (typeof timecode === 'number') {
-    if (!Number.isInteger(timecode) || (timecode < 0) || (99999999 < timecode)) {
-      throw inputValueErr_('numerical timecode must be an integer in [0, 99999999] range');
+    if (!Number.isInteger(timecode) || (99999999 < Math.abs(timecode))) {
+      throw inputValueErr_('numerical timecode must be an integer in [0, 99999999] range ' +
+          '(or [-99999999, 99999999] with "signed" overflow)');
     }
 
-    let digits = timecode;
+    let digits = Math.abs(timecode);
     const ff = digits % 100;
 
     digits = (digits - ff) / 100;
@@ -181,6 +580,7 @@ function parseTc_(timecode) {
     const hh = digits % 100;
 
     return {
+      negative: (timecode < 0),
       hh: hh,
       mm: mm,
       ss: ss,
@@ -194,14 +594,17 @@ function parseTc_(timecode) {
 
   const matches = timecode.trim().match(TC_STR_FMT_);
   if (!matches) {
-    throw inputValueErr_(`timecode must be in HH:MM:SS:FF format: "${timecode}"`);
+    throw inputValueErr_(`timecode must be in HH:MM:SS:FF or HH:MM:SS:FF.sf format: "${timecode}"`);
   }
 
   return {
-    hh: Number(matches[1]),
-    mm: Number(matches[2]),
-    ss: Number(matches[3]),
-    ff: Number(matches[4]),
+    negative: (matches[1] === '-'),
+    hh: Number(matches[2]),
+    mm: Number(matches[3]),
+    ss: Number(matches[4]),
+    ff: Number(matches[5]),
+    ffDigits: matches[5].length,
+    sf: (matches[6] === undefined) ? undefined : Number(matches[6]),
   };
 }
 
@@ -234,7 +637,8 @@ function framesPerDroppedBlock_(tcStd) {
 }
 
 /** @private */
-const TC_STR_FMT_ = /^([0-9][0-9])[:;]([0-9][0-9])[:;]([0-9][0-9])[:;]([0-9][0-9])$/;
+const TC_STR_FMT_ =
+    /^(-?)([0-9][0-9])[:;]([0-9][0-9])[:;]([0-9][0-9])[:;]([0-9][0-9][0-9]?)(?:\.([0-9][0-9]))?$/;
 
 /** @private */
 const MINS_PER_HR_ = 60;
@@ -246,10 +650,20 @@ const SECS_PER_MIN_ = 60;
  * @param {string|number} timecode
  * @param {ParsedTimecode} tc
  * @param {TimecodeStandard} tcStd
+ * @param {boolean=} allowNegative Whether negative timecode is valid.
  * @throws {Error} if invalid.
  * @private
  */
-function validateTc_(timecode, tc, tcStd) {
+function validateTc_(timecode, tc, tcStd, allowNegative) {
+  if (tc.negative && !allowNegative) {
+    throw inputValueErr_(`negative timecode is only supported with "signed" overflow: "${timecode}"`);
+  }
+
+  if ((typeof timecode === 'number') && (tcStd.intFps > MAX_2_DIGIT_FF_FPS_)) {
+    throw inputValueErr_(`numerical timecode is not supported above ${MAX_2_DIGIT_FF_FPS_} fps ` +
+        '(use plain text HH:MM:SS:FFF format)');
+  }
+
   // Ensure each segment of timecode is in valid range (and not a dropped frame).
 
   // All digit HH values (00-99) are valid...
@@ -262,14 +676,25 @@ function validateTc_(timecode, tc, tcStd) {
     throw inputValueErr_(`timecode SS must be in range 00-59: "${tc.ss}"`);
   }
 
+  if ((tc.ffDigits === 3) && (tcStd.intFps <= MAX_2_DIGIT_FF_FPS_)) {
+    throw inputValueErr_(`timecode FF must be 2 digits at or below ${MAX_2_DIGIT_FF_FPS_} fps: ` +
+        `"${timecode}"`);
+  }
+
   if (tc.ff >= tcStd.intFps) {
-    throw inputValueErr_(`timecode FF must be in range 00-${tcStd.intFps - 1}: "${tc.ff}"`);
+    const maxFf = String(tcStd.intFps - 1).padStart(2, '0');
+    throw inputValueErr_(`timecode FF must be in range 00-${maxFf}: "${tc.ff}"`);
+  }
+
+  if ((tc.sf !== undefined) && (tc.sf >= tcStd.subframesPerFrame)) {
+    const maxSf = String(tcStd.subframesPerFrame - 1).padStart(2, '0');
+    throw inputValueErr_(`timecode subframes must be in range 00-${maxSf}: "${tc.sf}"`);
   }
 
   // Frame number must not be a dropped frame.
   if (isDropSec_(tc, tcStd)) {
     if (tc.ff < framesPerDroppedBlock_(tcStd)) {
-      throw inputValueErr_(`timecode invalid: "${tcToStr_(tc)}" is a dropped frame number`);
+      throw inputValueErr_(`timecode invalid: "${tcToStr_(tc, tcStd)}" is a dropped frame number`);
     }
   }
 
@@ -285,20 +710,32 @@ function validateTc_(timecode, tc, tcStd) {
 /**
  * Returns empty string if the input timecode value is valid time in the given timecode
  * standard, or a non-empty error otherwise.
- * @param {string|number} timecode Timecode value in "HH:MM:SS:FF" format (without
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
  *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
  *     May use semicolons in drop frame standards.
- * @param {string} frameRate Frame rate as a plain text string, with exactly 2 or 3
- *     decimal digits of precision after the period (e.g. "23.976" or "24.00").
- * @param {string} dropType "drop" or "non-drop".
- * @return {string} Empty string if valid, or non-empty error message.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] Use "signed" to accept negative timecode (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Empty string if valid, or non-empty error message.
  * @customFunction
  */
-function TC_ERROR(timecode, frameRate, dropType) {
+function TC_ERROR(timecode, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_ERROR, arguments);
+  }
+
   try {
-    const tcStd = parseTcStd_(frameRate, dropType);
+    const tcStd = parseTcStd_(frameRate, dropType, subframes);
     const tc = parseTc_(timecode);
-    validateTc_(timecode, tc, tcStd);
+    validateTc_(timecode, tc, tcStd, allowsNegativeTc_(overflow));
     return '';
   } catch (e) {
     return e.toString();
@@ -311,19 +748,31 @@ function TC_ERROR(timecode, frameRate, dropType) {
  * 
  * If this is a drop frame standard, dropped frames are not given indexes
  * (so in 29.97 drop, 00:00:59:29 has index 1799 and 00:01:00:02 has index 1800).
- * @param {string|number} timecode Timecode value in "HH:MM:SS:FF" format (without
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
  *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
  *     May use semicolons in drop frame standards.
- * @param {string} frameRate Frame rate as a plain text string, with exactly 2 or 3
- *     decimal digits of precision after the period (e.g. "23.976" or "24.00").
- * @param {string} dropType "drop" or "non-drop".
- * @return {number} Frame index.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] Use "signed" to accept negative timecode (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {number[][]} Frame index (fractional if timecode has subframes).
  * @customFunction
  */
-function TC_TO_FRAMEIDX(timecode, frameRate, dropType) {
-  const tcStd = parseTcStd_(frameRate, dropType);
+function TC_TO_FRAMEIDX(timecode, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_TO_FRAMEIDX, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
   const tc = parseTc_(timecode);
-  validateTc_(timecode, tc, tcStd);
+  validateTc_(timecode, tc, tcStd, allowsNegativeTc_(overflow));
   return tcToFrameIdx_(tc, tcStd);
 }
 
@@ -352,20 +801,33 @@ function tcToFrameIdx_(tc, tcStd) {
     frameIdx -= (tc.mm % 10) * framesPerDroppedBlock_(tcStd);
   }
 
-  return frameIdx;
+  // Subframes are a fraction of this frame.
+  if (tc.sf !== undefined) {
+    frameIdx += tc.sf / tcStd.subframesPerFrame;
+  }
+
+  return tc.negative ? -frameIdx : frameIdx;
 }
 
 /**
  * Converts input frame index to wall time in seconds offset from origin
  * time 00:00:00:00.
- * @param {number} frameIdx The 0-based frame index.
- * @param {string} frameRate Frame rate as a plain text string, with exactly 2 or 3
- *     decimal digits of precision after the period (e.g. "23.976" or "24.00").
- * @param {string} dropType "drop" or "non-drop".
- * @return {number} Wall time in seconds (possibly fractional).
+ * @param {number[][]} frameIdx The 0-based frame index.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @return {number[][]} Wall time in seconds (possibly fractional).
  * @customFunction
  */
 function FRAMEIDX_TO_WALL_SECS(frameIdx, frameRate, dropType) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(FRAMEIDX_TO_WALL_SECS, arguments);
+  }
+
   const tcStd = parseTcStd_(frameRate, dropType);
   if (!Number.isInteger(frameIdx) || (frameIdx < 0)) {
     throw inputValueErr_('frameIdx must be non-negative integer');
@@ -386,19 +848,31 @@ function frameIdxToWallSecs_(frameIdx, tcStd) {
 /**
  * Converts input timecode to wall time in seconds offset from origin
  * time 00:00:00:00.
- * @param {string|number} timecode Timecode value in "HH:MM:SS:FF" format (without
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
  *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
  *     May use semicolons in drop frame standards.
- * @param {string} frameRate Frame rate as a plain text string, with exactly 2 or 3
- *     decimal digits of precision after the period (e.g. "23.976" or "24.00").
- * @param {string} dropType "drop" or "non-drop".
- * @return {number} Wall time in seconds (possibly fractional).
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] Use "signed" to accept negative timecode (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {number[][]} Wall time in seconds (possibly fractional).
  * @customFunction
  */
-function TC_TO_WALL_SECS(timecode, frameRate, dropType) {
-  const tcStd = parseTcStd_(frameRate, dropType);
+function TC_TO_WALL_SECS(timecode, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_TO_WALL_SECS, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
   const tc = parseTc_(timecode);
-  validateTc_(timecode, tc, tcStd);
+  validateTc_(timecode, tc, tcStd, allowsNegativeTc_(overflow));
 
   const frameIdx = tcToFrameIdx_(tc, tcStd);
   return frameIdxToWallSecs_(frameIdx, tcStd);
@@ -407,47 +881,102 @@ function TC_TO_WALL_SECS(timecode, frameRate, dropType) {
 /**
  * Returns wall time in seconds between the given start and end timecodes. If end
  * is before start, the returned value will be negative.
- * @param {string|number} start Start timecode value in "HH:MM:SS:FF" format (without
+ * @param {any[][]} start Start timecode value in "HH:MM:SS:FF" format (without
  *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
  *     May use semicolons in drop frame standards.
- * @param {string|number} end End timecode value in "HH:MM:SS:FF" format (without
+ * @param {any[][]} end End timecode value in "HH:MM:SS:FF" format (without
  *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
  *     May use semicolons in drop frame standards.
- * @param {string} frameRate Frame rate as a plain text string, with exactly 2 or 3
- *     decimal digits of precision after the period (e.g. "23.976" or "24.00").
- * @param {string} dropType "drop" or "non-drop".
- * @return {number} Duration from start to end as measured by wall time in seconds
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] Use "signed" to accept negative timecode (e.g.
+ *     "-00:00:02:00"), or "wrap" to measure forward across midnight when end is
+ *     before start (so the result is never negative).
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {number[][]} Duration from start to end as measured by wall time in seconds
  *     (possibly fractional).
  * @customFunction
  */
-function WALL_SECS_BETWEEN_TCS(start, end, frameRate, dropType) {
-  const tcStd = parseTcStd_(frameRate, dropType);
+function WALL_SECS_BETWEEN_TCS(start, end, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_BETWEEN_TCS, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  const allowNegative = allowsNegativeTc_(overflow);
 
   const startTc = parseTc_(start);
-  validateTc_(start, startTc, tcStd);
+  validateTc_(start, startTc, tcStd, allowNegative);
 
   const endTc = parseTc_(end);
-  validateTc_(end, endTc, tcStd);
+  validateTc_(end, endTc, tcStd, allowNegative);
 
   const startIdx = tcToFrameIdx_(startTc, tcStd);
   const endIdx = tcToFrameIdx_(endTc, tcStd);
 
-  return (endIdx - startIdx) * tcStd.perWallSecs / tcStd.frames;
+  let numFrames = endIdx - startIdx;
+  if (!isOmitted_(overflow) && (parseOverflowMode_(overflow) === 'wrap')) {
+    const framesPer24Hrs = framesPer24Hrs_(tcStd);
+    numFrames = ((numFrames % framesPer24Hrs) + framesPer24Hrs) % framesPer24Hrs;
+  }
+
+  return numFrames * tcStd.perWallSecs / tcStd.frames;
 }
 
+/**
+ * Supported WALL_SECS_TO_DURSTR formats.
+ * - hms: Hours, minutes, and seconds (e.g. "1h 02m 45s").
+ * - clock: Cue sheet style, with hours only if needed (e.g. "1:02:45" or "02:45").
+ * - primes: Minutes and seconds (e.g. "62′45″" or "2′45″").
+ * @private
+ */
+const DURSTR_FORMATS_ = ['hms', 'clock', 'primes'];
+
+/** @private */
+const DURSTR_ROUNDING_MODES_ = ['round', 'truncate'];
+
+/** @private */
+const MAX_DURSTR_DECIMALS_ = 3;
+
 /**
  * Converts time in wall seconds to a more human-readable duration string. Rounds
- * fractional seconds to the nearest value (with 0.5 rounding up).
+ * fractional seconds to the nearest value (with 0.5 rounding up) by default.
  * 
- * Example output for 4994.5 seconds is "1h 23m 15s".
- * @param {number} wallSecs Duration in wall seconds (possibly fractional).
- * @return {string} Human-readable duration string.
+ * Example output for 4994.5 seconds is "1h 23m 15s" ("1:23:15" in "clock" format,
+ * or "83′15″" in "primes" format).
+ * @param {number[][]} wallSecs Duration in wall seconds (possibly fractional).
+ * @param {string[][]} [format] "hms" (default, e.g. "1h 02m 45s"), "clock" (e.g.
+ *     "1:02:45" or "02:45"), or "primes" (e.g. "2′45″").
+ * @param {number[][]} [decimals] Number of decimal digits of seconds to show (e.g.
+ *     1 for tenths of a second), 0 by default.
+ * @param {string[][]} [rounding] "round" (default) to round to the nearest shown
+ *     value, or "truncate" to drop any remaining fraction.
+ * @return {string[][]} Human-readable duration string.
  * @customFunction
  */
-function WALL_SECS_TO_DURSTR(wallSecs) {
+function WALL_SECS_TO_DURSTR(wallSecs, format, decimals, rounding) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_DURSTR, arguments);
+  }
+
   if ((typeof wallSecs !== 'number') || !Number.isFinite(wallSecs)) {
     throw inputValueErr_('wallSecs must be a finite number');
   }
+  format = parseDurStrOption_(format, 'format', DURSTR_FORMATS_);
+  rounding = parseDurStrOption_(rounding, 'rounding', DURSTR_ROUNDING_MODES_);
+
+  if (isOmitted_(decimals)) {
+    decimals = 0;
+  } else if (!Number.isInteger(decimals) || (decimals < 0) ||
+      (MAX_DURSTR_DECIMALS_ < decimals)) {
+    throw inputValueErr_(`decimals must be an integer in [0, ${MAX_DURSTR_DECIMALS_}] range`);
+  }
 
   let isNegative = false;
   if (wallSecs < 0) {
@@ -455,20 +984,47 @@ function WALL_SECS_TO_DURSTR(wallSecs) {
     isNegative = true;
   }
 
-  wallSecs = Math.round(wallSecs);
+  // Count whole units of the smallest shown digit (e.g. tenths of a second), snapping
+  // floating point error (e.g. 2.3 * 10) to the exact unit.
+  const unitsPerSec = 10 ** decimals;
+  const units = wallSecsToUnitIdx_(wallSecs, {
+    name: 'shown digit',
+    units: unitsPerSec,
+    perWallSecs: 1,
+  }, (rounding === 'truncate') ? 'left' : 'nearest');
+  const fracUnits = units % unitsPerSec;
+  wallSecs = (units - fracUnits) / unitsPerSec;
 
   let output = '';
-  if (isNegative && (wallSecs !== 0)) {
+  if (isNegative && (units !== 0)) {
     output += '(-) ';
   }
 
   const hh = Math.floor(wallSecs / (MINS_PER_HR_ * SECS_PER_MIN_));
   wallSecs -= (MINS_PER_HR_ * SECS_PER_MIN_) * hh;
 
-  const mm = Math.floor(wallSecs / SECS_PER_MIN_);
+  let mm = Math.floor(wallSecs / SECS_PER_MIN_);
   wallSecs -= SECS_PER_MIN_ * mm;
 
-  const ss = wallSecs;
+  // Always zero pad ss for 2 digits.
+  let ss = String(wallSecs).padStart(2, '0');
+  if (decimals > 0) {
+    ss += '.' + String(fracUnits).padStart(decimals, '0');
+  }
+
+  if (format === 'clock') {
+    // Output hh only if non-zero. Always zero pad mm for 2 digits.
+    if (hh > 0) {
+      output += hh + ':';
+    }
+    return output + String(mm).padStart(2, '0') + ':' + ss;
+  }
+
+  if (format === 'primes') {
+    // Minutes are not split into hours.
+    mm += MINS_PER_HR_ * hh;
+    return output + mm + '′' + ss + '″';
+  }
 
   // Output hh only if non-zero. No zero padding.
   if (hh > 0) {
@@ -482,143 +1038,586 @@ function WALL_SECS_TO_DURSTR(wallSecs) {
     output += 'm ';
   }
 
-  // Always output ss. Zero pad if needed for 2 digits.
-  output += String(ss).padStart(2, '0');
+  output += ss;
   output += 's';
 
   return output;
 }
 
 /**
- * Returns frame index of closest frame before or exactly equal to the given
- * wallSecs (offset from origin 00:00:00:00).
- *
- * Note that negative wallSecs will yield negative frame indexes.
- * @param {number} wallSecs Time in wall seconds (possibly fractional) offset from
- *     origin 00:00:00:00.
- * @param {string} frameRate Frame rate as a plain text string, with exactly 2 or 3
- *     decimal digits of precision after the period (e.g. "23.976" or "24.00").
- * @param {string} dropType "drop" or "non-drop".
- * @return {number} Integer frame index <= given wallSecs.
- * @customFunction
+ * @param {string} value Optional value of a WALL_SECS_TO_DURSTR argument.
+ * @param {string} name Argument name (for error messages).
+ * @param {!Array<string>} allowedValues Allowed values (the first is the default).
+ * @return {string}
+ * @private
  */
-function WALL_SECS_TO_FRAMEIDX_LEFT(wallSecs, frameRate, dropType) {
-  const tcStd = parseTcStd_(frameRate, dropType);
+function parseDurStrOption_(value, name, allowedValues) {
+  if (isOmitted_(value)) {
+    return allowedValues[0];
+  }
+  if (typeof value !== 'string') {
+    throw inputValueErr_(`${name} must be a single plain text value`);
+  }
 
-  const fractionalFrameIdx = wallSecsToFractionalFrameIdx_(wallSecs, tcStd);
-  return Math.floor(fractionalFrameIdx);
+  value = value.trim().toLowerCase();
+  if (allowedValues.indexOf(value) < 0) {
+    const quotedValues = allowedValues.map((allowed) => `"${allowed}"`);
+    const lastValue = quotedValues.pop();
+    throw inputValueErr_(
+        `${name} value must be ${quotedValues.join(', ')} or ${lastValue} (without quotes)`);
+  }
+  return value;
 }
 
+/** @private */
+const DURSTR_NUM_ = '([0-9]+(?:\\.[0-9]+)?)';
+
 /**
- * Returns frame index of closest frame after or exactly equal to the given
- * wallSecs (offset from origin 00:00:00:00).
- * 
- * Note that negative wallSecs will yield negative frame indexes.
- * @param {number} wallSecs Time in wall seconds (possibly fractional) offset from
- *     origin 00:00:00:00.
- * @param {string} frameRate Frame rate as a plain text string, with exactly 2 or 3
- *     decimal digits of precision after the period (e.g. "23.976" or "24.00").
- * @param {string} dropType "drop" or "non-drop".
- * @return {number} Integer frame index >= given wallSecs.
- * @customFunction
+ * Hours, minutes, and seconds (e.g. "1h 02m 45s", "2m30s", "90s", or "1.5 hrs").
+ * @private
  */
-function WALL_SECS_TO_FRAMEIDX_RIGHT(wallSecs, frameRate, dropType) {
-  const tcStd = parseTcStd_(frameRate, dropType);
+const DURSTR_HMS_FMT_ = new RegExp(
+    `^(?:${DURSTR_NUM_}\\s*h(?:(?:ou)?rs?)?)?\\s*` +
+    `(?:${DURSTR_NUM_}\\s*m(?:in(?:ute)?s?)?)?\\s*` +
+    `(?:${DURSTR_NUM_}\\s*s(?:ec(?:ond)?s?)?)?$`);
 
-  const fractionalFrameIdx = wallSecsToFractionalFrameIdx_(wallSecs, tcStd);
-  return Math.ceil(fractionalFrameIdx);
-}
+/**
+ * Clock style hours (optional), minutes, and seconds (e.g. "1:02:45" or "02:45").
+ * @private
+ */
+const DURSTR_CLOCK_FMT_ = /^(?:([0-9]+):)??([0-9]+):([0-9][0-9](?:\.[0-9]+)?)$/;
 
 /**
- * @param {number} wallSecs 
- * @param {TimecodeStandard} tcStd
- * @return {number}
+ * Minutes and seconds with prime marks (e.g. "2′45″", or "2'45\"" with quotes).
  * @private
  */
-function wallSecsToFractionalFrameIdx_(wallSecs, tcStd) {
-  if (!Number.isFinite(wallSecs)) {
-    throw inputValueErr_('wallSecs must be a finite number: ' + wallSecs);
+const DURSTR_PRIMES_FMT_ = new RegExp(
+    `^(?:([0-9]+)\\s*[′'])?\\s*(?:${DURSTR_NUM_}\\s*(?:″|"|''))?$`);
+
+/**
+ * Converts a human-readable duration string to time in wall seconds. Accepts
+ * output from WALL_SECS_TO_DURSTR in any format (e.g. "(-) 1h 02m 45s", "1:02:45",
+ * or "2′45″"), and common variants like "2m30s" or "90s".
+ * @param {string[][]} durStr Human-readable duration string. Negative durations
+ *     start with "(-) " or "-".
+ * @return {number[][]} Duration in wall seconds (possibly fractional).
+ * @customFunction
+ */
+function DURSTR_TO_WALL_SECS(durStr) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(DURSTR_TO_WALL_SECS, arguments);
+  }
+
+  if (typeof durStr !== 'string') {
+    throw inputValueErr_('durStr must be a single plain text value');
+  }
+
+  let str = durStr.trim().toLowerCase();
+  const isNegative = str.startsWith('(-)') || str.startsWith('-');
+  str = str.replace(/^(?:\(-\)|-)\s*/, '');
+
+  let wallSecs;
+  let matches;
+  if ((matches = str.match(DURSTR_CLOCK_FMT_))) {
+    const mm = Number(matches[2]);
+    const ss = Number(matches[3]);
+    if ((ss >= SECS_PER_MIN_) || ((matches[1] !== undefined) && (mm >= MINS_PER_HR_))) {
+      throw inputValueErr_(`durStr minutes and seconds must be in range 00-59: "${durStr}"`);
+    }
+    wallSecs = (Number(matches[1] || 0) * MINS_PER_HR_ + mm) * SECS_PER_MIN_ + ss;
+  } else if ((str !== '') && (matches = str.match(DURSTR_HMS_FMT_))) {
+    const [hh, mm, ss] = matches.slice(1, 4).map((value) => Number(value || 0));
+    wallSecs = (hh * MINS_PER_HR_ + mm) * SECS_PER_MIN_ + ss;
+  } else if ((str !== '') && (matches = str.match(DURSTR_PRIMES_FMT_))) {
+    const [mm, ss] = matches.slice(1, 3).map((value) => Number(value || 0));
+    wallSecs = mm * SECS_PER_MIN_ + ss;
+  } else {
+    throw inputValueErr_('durStr must be in a format like "1h 02m 45s", "1:02:45", "02:45", ' +
+        `"2′45″", or "90s": "${durStr}"`);
   }
 
-  return wallSecs * tcStd.frames / tcStd.perWallSecs;
+  return (isNegative && (wallSecs !== 0)) ? -wallSecs : wallSecs;
 }
 
 /**
- * Returns timecode string of closest frame before or exactly equal to the given
+ * Returns frame index of closest frame before or exactly equal to the given
  * wallSecs (offset from origin 00:00:00:00).
  *
- * Note that negative wallSecs are NOT supported.
- * @param {number} wallSecs Time in wall seconds (possibly fractional) offset from
+ * Note that negative wallSecs will yield negative frame indexes.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional) offset from
  *     origin 00:00:00:00.
- * @param {string} frameRate Frame rate as a plain text string, with exactly 2 or 3
- *     decimal digits of precision after the period (e.g. "23.976" or "24.00").
- * @param {string} dropType "drop" or "non-drop".
- * @return {string} Timecode of nearest frame <= wallSecs.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     frame time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {number[][]} Integer frame index <= given wallSecs.
  * @customFunction
  */
-function WALL_SECS_TO_TC_LEFT(wallSecs, frameRate, dropType) {
+function WALL_SECS_TO_FRAMEIDX_LEFT(wallSecs, frameRate, dropType, toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_FRAMEIDX_LEFT, arguments);
+  }
+
   const tcStd = parseTcStd_(frameRate, dropType);
 
-  const fractionalFrameIdx = wallSecsToFractionalFrameIdx_(wallSecs, tcStd);
-  const frameIdx = Math.floor(fractionalFrameIdx);
-  return frameIdxToTc_(frameIdx, tcStd);
+  return wallSecsToIdx_(wallSecs, tcStd, 'left', parseToleranceSecs_(toleranceSecs));
 }
 
 /**
- * Returns timecode string of closest frame after or exactly equal to the given
+ * Returns frame index of closest frame after or exactly equal to the given
  * wallSecs (offset from origin 00:00:00:00).
- *
- * Note that negative wallSecs are NOT supported.
- * @param {number} wallSecs Time in wall seconds (possibly fractional) offset from
+ * 
+ * Note that negative wallSecs will yield negative frame indexes.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional) offset from
  *     origin 00:00:00:00.
- * @param {string} frameRate Frame rate as a plain text string, with exactly 2 or 3
- *     decimal digits of precision after the period (e.g. "23.976" or "24.00").
- * @param {string} dropType "drop" or "non-drop".
- * @return {string} Timecode of nearest frame >= wallSecs.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     frame time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {number[][]} Integer frame index >= given wallSecs.
  * @customFunction
  */
-function WALL_SECS_TO_TC_RIGHT(wallSecs, frameRate, dropType) {
+function WALL_SECS_TO_FRAMEIDX_RIGHT(wallSecs, frameRate, dropType, toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_FRAMEIDX_RIGHT, arguments);
+  }
+
   const tcStd = parseTcStd_(frameRate, dropType);
 
-  const fractionalFrameIdx = wallSecsToFractionalFrameIdx_(wallSecs, tcStd);
-  const frameIdx = Math.ceil(fractionalFrameIdx);
-  return frameIdxToTc_(frameIdx, tcStd);
+  return wallSecsToIdx_(wallSecs, tcStd, 'right', parseToleranceSecs_(toleranceSecs));
 }
 
 /**
- * Returns timecode string for given frame index.
+ * Returns frame index of closest frame to the given wallSecs (offset from origin
+ * 00:00:00:00), rounding exactly halfway times to the later frame.
  * 
- * Note that negative frameIdx values are NOT supported.
- * @param {number} frameIdx The 0-based frame index.
- * @param {string} frameRate Frame rate as a plain text string, with exactly 2 or 3
- *     decimal digits of precision after the period (e.g. "23.976" or "24.00").
- * @param {string} dropType "drop" or "non-drop".
- * @return {string} Timecode of given frameIdx.
+ * Note that negative wallSecs will yield negative frame indexes.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional) offset from
+ *     origin 00:00:00:00.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     frame time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {number[][]} Integer frame index nearest to given wallSecs.
  * @customFunction
  */
-function FRAMEIDX_TO_TC(frameIdx, frameRate, dropType) {
+function WALL_SECS_TO_FRAMEIDX_NEAREST(wallSecs, frameRate, dropType, toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_FRAMEIDX_NEAREST, arguments);
+  }
+
   const tcStd = parseTcStd_(frameRate, dropType);
-  return frameIdxToTc_(frameIdx, tcStd);
+
+  return wallSecsToIdx_(wallSecs, tcStd, 'nearest', parseToleranceSecs_(toleranceSecs));
 }
 
 /**
- * @param {number} frameIdx 
- * @param {TimecodeStandard} tcStd
- * @return {string}
+ * Default snapping tolerance of wall seconds inputs: times within a nanosecond of an
+ * exact frame (or subframe, sample, etc.) time are treated as that time, so that
+ * floating point error (e.g. 1.0399999999 for 1.04) doesn't move a time to the
+ * neighboring frame.
  * @private
  */
-function frameIdxToTc_(frameIdx, tcStd) {
-  if (frameIdx < 0) {
-    throw inputValueErr_('negative timecode values are not supported');
+const DEFAULT_SNAP_TOLERANCE_SECS_ = 1e-9;
+
+/**
+ * @param {number|undefined} toleranceSecs
+ * @return {number|undefined} Undefined if omitted (for the default tolerance).
+ * @private
+ */
+function parseToleranceSecs_(toleranceSecs) {
+  if (isOmitted_(toleranceSecs)) {
+    return undefined;
   }
 
-  const framesPerMin = tcStd.intFps * SECS_PER_MIN_;
-  const framesPerHr = framesPerMin * MINS_PER_HR_;
+  if ((typeof toleranceSecs !== 'number') || !Number.isFinite(toleranceSecs) ||
+      (toleranceSecs < 0)) {
+    throw inputValueErr_('toleranceSecs must be a non-negative number of wall seconds');
+  }
+  return toleranceSecs;
+}
 
-  // If this is a drop frame standard, adjust for any dropped frames.
-  let framesRemaining = frameIdx + framesDroppedBeforeFrameIdx_(frameIdx, tcStd);
+/**
+ * @param {number} wallSecs
+ * @throws {Error} if wallSecs isn't a finite number.
+ * @private
+ */
+function validateWallSecs_(wallSecs) {
+  if (!Number.isFinite(wallSecs)) {
+    throw inputValueErr_('wallSecs must be a finite number: ' + wallSecs);
+  }
+}
 
-  const hh = Math.floor(framesRemaining / framesPerHr);
+/**
+ * Exact rate of whole units (e.g. frames or samples) as a ratio of units per wall
+ * seconds (e.g. 24000 frames per 1001 secs at 23.976), so that the time of unit
+ * index n is exactly n * perWallSecs / units.
+ * @typedef {{
+ *   name: string,
+ *   units: number,
+ *   perWallSecs: number,
+ * }} UnitRate
+ */
+
+/**
+ * Snaps wall seconds to a whole unit index (e.g. a frame, subframe, or sample).
+ *
+ * Each index has an exact rational time, computed as a single correctly rounded
+ * division (so for frames, it's the same number as frameIdxToWallSecs_). Times within
+ * toleranceSecs of an index's time snap to it, and other times are compared with
+ * the exact times of the indexes on either side of them.
+ * @param {number} wallSecs
+ * @param {UnitRate} rate
+ * @param {string} snap One of SNAP_MODES_.
+ * @param {number=} toleranceSecs DEFAULT_SNAP_TOLERANCE_SECS_ (or less, for units
+ *     shorter than 4 nanoseconds) if undefined.
+ * @return {number} Integer unit index.
+ * @throws {Error} if toleranceSecs is half a unit or more (so that "left" and
+ *     "right" never snap past the closest index on their side).
+ * @private
+ */
+function wallSecsToUnitIdx_(wallSecs, rate, snap, toleranceSecs) {
+  validateWallSecs_(wallSecs);
+
+  const halfUnitSecs = rate.perWallSecs / (2 * rate.units);
+  if (toleranceSecs === undefined) {
+    toleranceSecs = Math.min(DEFAULT_SNAP_TOLERANCE_SECS_, halfUnitSecs / 2);
+  } else if (toleranceSecs >= halfUnitSecs) {
+    throw inputValueErr_(
+        `toleranceSecs must be less than half a ${rate.name} (${halfUnitSecs} secs)`);
+  }
+
+  // (Adding 0 turns -0, e.g. from rounding tiny negative times, into 0.)
+  const nearestIdx = Math.round(wallSecs * rate.units / rate.perWallSecs) + 0;
+  const nearestSecs = (nearestIdx * rate.perWallSecs) / rate.units;
+  if (Math.abs(wallSecs - nearestSecs) <= toleranceSecs) {
+    return nearestIdx;
+  }
+
+  // Otherwise, wallSecs is strictly between leftIdx and the next index.
+  const leftIdx = (wallSecs > nearestSecs) ? nearestIdx : (nearestIdx - 1);
+  if (snap === 'left') {
+    return leftIdx;
+  }
+  if (snap === 'right') {
+    return leftIdx + 1;
+  }
+  const halfwaySecs = ((2 * leftIdx + 1) * rate.perWallSecs) / (2 * rate.units);
+  return (wallSecs < halfwaySecs) ? leftIdx : (leftIdx + 1);
+}
+
+/**
+ * @param {number} wallSecs
+ * @param {TimecodeStandard} tcStd
+ * @param {string} snap One of SNAP_MODES_.
+ * @param {number=} toleranceSecs Default tolerance if undefined.
+ * @param {number=} unitsPerFrame 1 for frames (default), or subframes per frame.
+ * @return {number} Integer frame (or subframe) index.
+ * @private
+ */
+function wallSecsToIdx_(wallSecs, tcStd, snap, toleranceSecs, unitsPerFrame = 1) {
+  return wallSecsToUnitIdx_(wallSecs, {
+    name: (unitsPerFrame === 1) ? 'frame' : 'subframe',
+    units: tcStd.frames * unitsPerFrame,
+    perWallSecs: tcStd.perWallSecs,
+  }, snap, toleranceSecs);
+}
+
+/**
+ * @param {number} fractionalFrameIdx Frame index computed with floating point math
+ *     (e.g. from a tempo).
+ * @param {TimecodeStandard} tcStd
+ * @param {string} snap One of SNAP_MODES_.
+ * @return {number} Whole frame index, snapped like wall seconds (with the default
+ *     tolerance).
+ * @private
+ */
+function snapFractionalFrameIdx_(fractionalFrameIdx, tcStd, snap) {
+  return wallSecsToIdx_(frameIdxToWallSecs_(fractionalFrameIdx, tcStd), tcStd, snap);
+}
+
+/**
+ * Returns timecode string of closest frame before or exactly equal to the given
+ * wallSecs (offset from origin 00:00:00:00).
+ *
+ * Note that negative wallSecs are only supported with "wrap" or "signed" overflow.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional) offset from
+ *     origin 00:00:00:00.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight, so frame index -1 is 23:59:59:FF), "signed" (e.g.
+ *     "-00:00:02:00"), "clamp", or "error". If omitted, negative values are an error.
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     frame time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {string[][]} Timecode of nearest frame <= wallSecs.
+ * @customFunction
+ */
+function WALL_SECS_TO_TC_LEFT(wallSecs, frameRate, dropType, overflow, toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_TC_LEFT, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType);
+
+  const frameIdx =
+      wallSecsToIdx_(wallSecs, tcStd, 'left', parseToleranceSecs_(toleranceSecs));
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow);
+}
+
+/**
+ * Returns timecode string of closest frame after or exactly equal to the given
+ * wallSecs (offset from origin 00:00:00:00).
+ *
+ * Note that negative wallSecs are only supported with "wrap" or "signed" overflow.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional) offset from
+ *     origin 00:00:00:00.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight, so frame index -1 is 23:59:59:FF), "signed" (e.g.
+ *     "-00:00:02:00"), "clamp", or "error". If omitted, negative values are an error.
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     frame time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {string[][]} Timecode of nearest frame >= wallSecs.
+ * @customFunction
+ */
+function WALL_SECS_TO_TC_RIGHT(wallSecs, frameRate, dropType, overflow, toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_TC_RIGHT, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType);
+
+  const frameIdx =
+      wallSecsToIdx_(wallSecs, tcStd, 'right', parseToleranceSecs_(toleranceSecs));
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow);
+}
+
+/**
+ * Returns timecode string of closest frame to the given wallSecs (offset from origin
+ * 00:00:00:00), rounding exactly halfway times to the later frame.
+ *
+ * Note that negative wallSecs are only supported with "wrap" or "signed" overflow.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional) offset from
+ *     origin 00:00:00:00.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight, so frame index -1 is 23:59:59:FF), "signed" (e.g.
+ *     "-00:00:02:00"), "clamp", or "error". If omitted, negative values are an error.
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     frame time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {string[][]} Timecode of nearest frame to wallSecs.
+ * @customFunction
+ */
+function WALL_SECS_TO_TC_NEAREST(wallSecs, frameRate, dropType, overflow, toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_TC_NEAREST, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType);
+
+  const frameIdx =
+      wallSecsToIdx_(wallSecs, tcStd, 'nearest', parseToleranceSecs_(toleranceSecs));
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow);
+}
+
+/**
+ * Returns subframe timecode string (e.g. "00:00:01:02.05") of closest subframe
+ * before or exactly equal to the given wallSecs (offset from origin 00:00:00:00).
+ *
+ * Note that negative wallSecs are only supported with "wrap" or "signed" overflow.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional) offset from
+ *     origin 00:00:00:00.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight, so frame index -1 is 23:59:59:FF), "signed" (e.g.
+ *     "-00:00:02:00"), "clamp", or "error". If omitted, negative values are an error.
+ * @param {number[][]} [subframes] Subframes per frame, 100 by default (or 80 for some DAWs).
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     subframe time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {string[][]} Subframe timecode of nearest subframe <= wallSecs.
+ * @customFunction
+ */
+function WALL_SECS_TO_TC_SUBFRAMES_LEFT(wallSecs, frameRate, dropType, overflow, subframes,
+    toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_TC_SUBFRAMES_LEFT, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+
+  const subframeIdx = wallSecsToIdx_(wallSecs, tcStd, 'left',
+      parseToleranceSecs_(toleranceSecs), tcStd.subframesPerFrame);
+  const frameIdx = subframeIdx / tcStd.subframesPerFrame;
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow, true);
+}
+
+/**
+ * Returns subframe timecode string (e.g. "00:00:01:02.05") of closest subframe
+ * after or exactly equal to the given wallSecs (offset from origin 00:00:00:00).
+ *
+ * Note that negative wallSecs are only supported with "wrap" or "signed" overflow.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional) offset from
+ *     origin 00:00:00:00.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight, so frame index -1 is 23:59:59:FF), "signed" (e.g.
+ *     "-00:00:02:00"), "clamp", or "error". If omitted, negative values are an error.
+ * @param {number[][]} [subframes] Subframes per frame, 100 by default (or 80 for some DAWs).
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     subframe time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {string[][]} Subframe timecode of nearest subframe >= wallSecs.
+ * @customFunction
+ */
+function WALL_SECS_TO_TC_SUBFRAMES_RIGHT(wallSecs, frameRate, dropType, overflow, subframes,
+    toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_TC_SUBFRAMES_RIGHT, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+
+  const subframeIdx = wallSecsToIdx_(wallSecs, tcStd, 'right',
+      parseToleranceSecs_(toleranceSecs), tcStd.subframesPerFrame);
+  const frameIdx = subframeIdx / tcStd.subframesPerFrame;
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow, true);
+}
+
+/**
+ * Returns subframe timecode string (e.g. "00:00:01:02.05") of closest subframe
+ * to the given wallSecs (offset from origin 00:00:00:00), rounding exactly halfway
+ * times to the later subframe.
+ *
+ * Note that negative wallSecs are only supported with "wrap" or "signed" overflow.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional) offset from
+ *     origin 00:00:00:00.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight, so frame index -1 is 23:59:59:FF), "signed" (e.g.
+ *     "-00:00:02:00"), "clamp", or "error". If omitted, negative values are an error.
+ * @param {number[][]} [subframes] Subframes per frame, 100 by default (or 80 for some DAWs).
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     subframe time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {string[][]} Subframe timecode of nearest subframe to wallSecs.
+ * @customFunction
+ */
+function WALL_SECS_TO_TC_SUBFRAMES_NEAREST(wallSecs, frameRate, dropType, overflow, subframes,
+    toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_TC_SUBFRAMES_NEAREST, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+
+  const subframeIdx = wallSecsToIdx_(wallSecs, tcStd, 'nearest',
+      parseToleranceSecs_(toleranceSecs), tcStd.subframesPerFrame);
+  const frameIdx = subframeIdx / tcStd.subframesPerFrame;
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow, true);
+}
+
+/**
+ * Returns timecode string for given frame index.
+ * 
+ * Note that negative frameIdx values are only supported with "wrap" or "signed"
+ * overflow.
+ * @param {number[][]} frameIdx The 0-based frame index.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight, so frame index -1 is 23:59:59:FF), "signed" (e.g.
+ *     "-00:00:02:00"), "clamp", or "error". If omitted, negative values are an error.
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Timecode of given frameIdx.
+ * @customFunction
+ */
+function FRAMEIDX_TO_TC(frameIdx, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(FRAMEIDX_TO_TC, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow);
+}
+
+/**
+ * @param {number} frameIdx Frame index (with any fractional part shown as subframes).
+ * @param {TimecodeStandard} tcStd
+ * @param {boolean=} showSubframes Whether to show subframes even when zero.
+ * @return {string}
+ * @private
+ */
+function frameIdxToTc_(frameIdx, tcStd, showSubframes) {
+  // Negative frame indexes are displayed with a sign (e.g. "-00:00:02:00").
+  const negative = (frameIdx < 0);
+
+  // Count whole subframes, to avoid floating point error in fractional frames.
+  const absSubframeIdx = Math.round(Math.abs(frameIdx) * tcStd.subframesPerFrame);
+  const sf = absSubframeIdx % tcStd.subframesPerFrame;
+  const absFrameIdx = (absSubframeIdx - sf) / tcStd.subframesPerFrame;
+
+  const framesPerMin = tcStd.intFps * SECS_PER_MIN_;
+  const framesPerHr = framesPerMin * MINS_PER_HR_;
+
+  // If this is a drop frame standard, adjust for any dropped frames.
+  let framesRemaining = absFrameIdx + framesDroppedBeforeFrameIdx_(absFrameIdx, tcStd);
+
+  const hh = Math.floor(framesRemaining / framesPerHr);
   framesRemaining -= hh * framesPerHr;
 
   const mm = Math.floor(framesRemaining / framesPerMin);
@@ -629,23 +1628,33 @@ function frameIdxToTc_(frameIdx, tcStd) {
 
   const ff = framesRemaining;
 
-  return tcToStr_({hh: hh, mm: mm, ss: ss, ff: ff});
+  return tcToStr_({
+    negative: negative,
+    hh: hh,
+    mm: mm,
+    ss: ss,
+    ff: ff,
+    sf: (showSubframes || (sf !== 0)) ? sf : undefined,
+  }, tcStd);
 }
 
 /**
  * @param {ParsedTimecode} tc
+ * @param {TimecodeStandard} tcStd
  * @return {string}
  * @private
  */
-function tcToStr_(tc) {
+function tcToStr_(tc, tcStd) {
   const hh = String(tc.hh).padStart(2, '0');
   const mm = String(tc.mm).padStart(2, '0');
   const ss = String(tc.ss).padStart(2, '0');
-  const ff = String(tc.ff).padStart(2, '0');
+  const ff = String(tc.ff).padStart((tcStd.intFps > MAX_2_DIGIT_FF_FPS_) ? 3 : 2, '0');
+  const sign = tc.negative ? '-' : '';
+  const sf = (tc.sf === undefined) ? '' : `.${String(tc.sf).padStart(2, '0')}`;
 
   // TODO: Optionally support ';' separator for drop frame standards, if this
   // feature is sufficiently requested.
-  return `${hh}:${mm}:${ss}:${ff}`;
+  return `${sign}${hh}:${mm}:${ss}:${ff}${sf}`;
 }
 
 /**
@@ -684,23 +1693,3500 @@ function framesDroppedBeforeFrameIdx_(frameIdx, tcStd) {
   return numDroppedFrames;
 }
 
+/**
+ * Supported film formats for feet+frames values. Film footage is measured in
+ * perforations (64 per foot of 35mm film, 40 per foot of 16mm film), so a foot
+ * of 35mm 3-perf film holds 22, 21, or 21 frames in a repeating pattern.
+ * @private
+ */
+const FILM_FORMATS_ = {
+  '35mm 4-perf': {perfsPerFoot: 64, perfsPerFrame: 4},  // 16 frames per foot.
+  '35mm 3-perf': {perfsPerFoot: 64, perfsPerFrame: 3},  // 21.333... frames per foot.
+  '16mm': {perfsPerFoot: 40, perfsPerFrame: 1},         // 40 frames per foot.
+};
 
-//==================================================================================================
-// Module Exports
-//==================================================================================================
+/** @private */
+const FEET_FRAMES_STR_FMT_ = /^([0-9]+)\+([0-9][0-9]?)$/;
 
-if ((typeof module !== 'undefined') && module.exports) {
-  module.exports = {
-    FRAMEIDX_TO_TC: FRAMEIDX_TO_TC,
-    FRAMEIDX_TO_WALL_SECS: FRAMEIDX_TO_WALL_SECS,
-    TC_ERROR: TC_ERROR,
-    TC_TO_FRAMEIDX: TC_TO_FRAMEIDX,
-    TC_TO_WALL_SECS: TC_TO_WALL_SECS,
-    WALL_SECS_BETWEEN_TCS: WALL_SECS_BETWEEN_TCS,
-    WALL_SECS_TO_DURSTR: WALL_SECS_TO_DURSTR,
-    WALL_SECS_TO_FRAMEIDX_LEFT: WALL_SECS_TO_FRAMEIDX_LEFT,
-    WALL_SECS_TO_FRAMEIDX_RIGHT: WALL_SECS_TO_FRAMEIDX_RIGHT,
-    WALL_SECS_TO_TC_LEFT: WALL_SECS_TO_TC_LEFT,
-    WALL_SECS_TO_TC_RIGHT: WALL_SECS_TO_TC_RIGHT,
+/**
+ * Internal configuration data for a film format.
+ * @typedef {{perfsPerFoot: number, perfsPerFrame: number}} FilmFormat
+ */
+
+/**
+ * Parsed numerical feet+frames.
+ * @typedef {{feet: number, frames: number}} ParsedFeetFrames
+ */
+
+/**
+ * @param {*} value
+ * @return {boolean} True if an optional argument was omitted (or left blank).
+ * @private
+ */
+function isOmitted_(value) {
+  return (value === undefined) || (value === null) || (value === '');
+}
+
+/**
+ * @param {string} filmFormatStr
+ * @return {FilmFormat}
+ * @private
+ */
+function parseFilmFormat_(filmFormatStr) {
+  if (typeof filmFormatStr !== 'string') {
+    throw inputValueErr_('filmFormat must be a single plain text value');
+  }
+
+  const filmFormat = FILM_FORMATS_[filmFormatStr.trim().toLowerCase()];
+  if (!filmFormat) {
+    throw inputValueErr_(
+        `filmFormat must be "35mm 4-perf", "35mm 3-perf", or "16mm": "${filmFormatStr}"`);
+  }
+  return filmFormat;
+}
+
+/**
+ * @param {string} feetFrames
+ * @return {ParsedFeetFrames}
+ * @private
+ */
+function parseFeetFrames_(feetFrames) {
+  if (typeof feetFrames !== 'string') {
+    throw inputValueErr_('feetFrames must be a single plain text value');
+  }
+
+  const matches = feetFrames.trim().match(FEET_FRAMES_STR_FMT_);
+  if (!matches) {
+    throw inputValueErr_(`feetFrames must be in FEET+FF format (e.g. "123+04"): "${feetFrames}"`);
+  }
+
+  return {
+    feet: Number(matches[1]),
+    frames: Number(matches[2]),
+  };
+}
+
+/**
+ * @param {number} feet
+ * @param {FilmFormat} filmFormat
+ * @return {number} Index of the first frame that starts within the given foot
+ *     (counting from footage 0+00 as index 0).
+ * @private
+ */
+function firstFrameIdxOfFoot_(feet, filmFormat) {
+  return Math.ceil(feet * filmFormat.perfsPerFoot / filmFormat.perfsPerFrame);
+}
+
+/**
+ * @param {ParsedFeetFrames} feetFrames
+ * @param {FilmFormat} filmFormat
+ * @throws {Error} if invalid.
+ * @private
+ */
+function validateFeetFrames_(feetFrames, filmFormat) {
+  // Frame numbering restarts at 00 with each foot, so the valid FF range
+  // depends on how many frames start within this particular foot.
+  const framesInFoot = firstFrameIdxOfFoot_(feetFrames.feet + 1, filmFormat) -
+      firstFrameIdxOfFoot_(feetFrames.feet, filmFormat);
+
+  if (feetFrames.frames >= framesInFoot) {
+    throw inputValueErr_(
+        `feetFrames FF must be in range 00-${framesInFoot - 1}: "${feetFramesToStr_(feetFrames)}"`);
+  }
+}
+
+/**
+ * @param {ParsedFeetFrames} feetFrames
+ * @param {FilmFormat} filmFormat
+ * @return {number}
+ * @private
+ */
+function feetFramesToFrameIdx_(feetFrames, filmFormat) {
+  return firstFrameIdxOfFoot_(feetFrames.feet, filmFormat) + feetFrames.frames;
+}
+
+/**
+ * @param {number} frameIdx
+ * @param {FilmFormat} filmFormat
+ * @return {ParsedFeetFrames}
+ * @private
+ */
+function frameIdxToFeetFrames_(frameIdx, filmFormat) {
+  if (frameIdx < 0) {
+    throw inputValueErr_('feet+frames values before 0+00 are not supported');
+  }
+
+  const feet = Math.floor(frameIdx * filmFormat.perfsPerFrame / filmFormat.perfsPerFoot);
+  return {
+    feet: feet,
+    frames: frameIdx - firstFrameIdxOfFoot_(feet, filmFormat),
+  };
+}
+
+/**
+ * @param {ParsedFeetFrames} feetFrames
+ * @return {string}
+ * @private
+ */
+function feetFramesToStr_(feetFrames) {
+  return `${feetFrames.feet}+${String(feetFrames.frames).padStart(2, '0')}`;
+}
+
+/**
+ * @param {string|undefined} startFeetFrames Optional footage at frame index 0.
+ * @param {FilmFormat} filmFormat
+ * @return {number} Number of frames from footage 0+00 to startFeetFrames.
+ * @private
+ */
+function parseStartFeetFramesOffset_(startFeetFrames, filmFormat) {
+  if (isOmitted_(startFeetFrames)) {
+    return 0;
+  }
+
+  const start = parseFeetFrames_(startFeetFrames);
+  validateFeetFrames_(start, filmFormat);
+  return feetFramesToFrameIdx_(start, filmFormat);
+}
+
+/**
+ * Converts input frame index to a film feet+frames value (e.g. "123+04").
+ * @param {number[][]} frameIdx The 0-based frame index.
+ * @param {string[][]} filmFormat "35mm 4-perf" (16 frames per foot), "35mm 3-perf",
+ *     or "16mm" (40 frames per foot).
+ * @param {string[][]} [startFeetFrames] Footage of frame index 0 (defaults to "0+00").
+ * @return {string[][]} Feet+frames value in FEET+FF format.
+ * @customFunction
+ */
+function FRAMEIDX_TO_FEET_FRAMES(frameIdx, filmFormat, startFeetFrames) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(FRAMEIDX_TO_FEET_FRAMES, arguments);
+  }
+
+  const format = parseFilmFormat_(filmFormat);
+  if (!Number.isInteger(frameIdx) || (frameIdx < 0)) {
+    throw inputValueErr_('frameIdx must be non-negative integer');
+  }
+
+  const startOffset = parseStartFeetFramesOffset_(startFeetFrames, format);
+  return feetFramesToStr_(frameIdxToFeetFrames_(startOffset + frameIdx, format));
+}
+
+/**
+ * Converts input film feet+frames value to frame index (where startFeetFrames,
+ * "0+00" by default, has index 0).
+ * @param {string[][]} feetFrames Feet+frames value in FEET+FF format (e.g. "123+04").
+ * @param {string[][]} filmFormat "35mm 4-perf" (16 frames per foot), "35mm 3-perf",
+ *     or "16mm" (40 frames per foot).
+ * @param {string[][]} [startFeetFrames] Footage of frame index 0 (defaults to "0+00").
+ * @return {number[][]} Frame index.
+ * @customFunction
+ */
+function FEET_FRAMES_TO_FRAMEIDX(feetFrames, filmFormat, startFeetFrames) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(FEET_FRAMES_TO_FRAMEIDX, arguments);
+  }
+
+  const format = parseFilmFormat_(filmFormat);
+  return feetFramesStrToFrameIdx_(feetFrames, format, startFeetFrames);
+}
+
+/**
+ * @param {string} feetFrames
+ * @param {FilmFormat} filmFormat
+ * @param {string|undefined} startFeetFrames Optional footage at frame index 0.
+ * @return {number}
+ * @private
+ */
+function feetFramesStrToFrameIdx_(feetFrames, filmFormat, startFeetFrames) {
+  const parsed = parseFeetFrames_(feetFrames);
+  validateFeetFrames_(parsed, filmFormat);
+
+  const frameIdx = feetFramesToFrameIdx_(parsed, filmFormat) -
+      parseStartFeetFramesOffset_(startFeetFrames, filmFormat);
+  if (frameIdx < 0) {
+    throw inputValueErr_(`feetFrames must not be before startFeetFrames: "${feetFrames}"`);
+  }
+  return frameIdx;
+}
+
+/**
+ * Converts input timecode to a film feet+frames value (e.g. "123+04"), where
+ * timecode 00:00:00:00 is at footage startFeetFrames ("0+00" by default).
+ *
+ * If this is a drop frame standard, dropped frames are not counted.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {string[][]} filmFormat "35mm 4-perf" (16 frames per foot), "35mm 3-perf",
+ *     or "16mm" (40 frames per foot).
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [startFeetFrames] Footage of timecode 00:00:00:00 (defaults to "0+00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Feet+frames value in FEET+FF format.
+ * @customFunction
+ */
+function TC_TO_FEET_FRAMES(timecode, filmFormat, frameRate, dropType, startFeetFrames, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_TO_FEET_FRAMES, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  const format = parseFilmFormat_(filmFormat);
+  const tc = parseTc_(timecode);
+  validateTc_(timecode, tc, tcStd);
+
+  const startOffset = parseStartFeetFramesOffset_(startFeetFrames, format);
+  // Feet+frames have no subframes, so use the frame that contains this timecode.
+  const frameIdx = Math.floor(tcToFrameIdx_(tc, tcStd));
+  return feetFramesToStr_(frameIdxToFeetFrames_(startOffset + frameIdx, format));
+}
+
+/**
+ * Converts input film feet+frames value to timecode, where footage startFeetFrames
+ * ("0+00" by default) is at timecode 00:00:00:00.
+ * @param {string[][]} feetFrames Feet+frames value in FEET+FF format (e.g. "123+04").
+ * @param {string[][]} filmFormat "35mm 4-perf" (16 frames per foot), "35mm 3-perf",
+ *     or "16mm" (40 frames per foot).
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [startFeetFrames] Footage of timecode 00:00:00:00 (defaults to "0+00").
+ * @return {string[][]} Timecode of given feetFrames.
+ * @customFunction
+ */
+function FEET_FRAMES_TO_TC(feetFrames, filmFormat, frameRate, dropType, startFeetFrames) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(FEET_FRAMES_TO_TC, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType);
+  const format = parseFilmFormat_(filmFormat);
+  const frameIdx = feetFramesStrToFrameIdx_(feetFrames, format, startFeetFrames);
+  return frameIdxToTc_(frameIdx, tcStd);
+}
+
+/**
+ * Supported policies for timecode values that fall outside the 24-hour range
+ * 00:00:00:00 to 23:59:59:FF.
+ * - error: Throw an error.
+ * - wrap: Roll over midnight (e.g. 1 frame before 00:00:00:00 is 23:59:59:FF).
+ * - clamp: Limit the result to 00:00:00:00 or 23:59:59:FF.
+ * - signed: Allow negative timecode (e.g. "-00:00:02:00") for relative offsets.
+ * @private
+ */
+const OVERFLOW_MODES_ = ['error', 'wrap', 'clamp', 'signed'];
+
+/**
+ * @param {string|undefined} overflow
+ * @return {string} One of OVERFLOW_MODES_ ("error" if omitted).
+ * @private
+ */
+function parseOverflowMode_(overflow) {
+  if (isOmitted_(overflow)) {
+    return 'error';
+  }
+
+  if (typeof overflow !== 'string') {
+    throw inputValueErr_('overflow must be a single plain text value');
+  }
+  const mode = overflow.trim().toLowerCase();
+  if (OVERFLOW_MODES_.indexOf(mode) < 0) {
+    throw inputValueErr_(
+        'overflow value must be "error", "wrap", "clamp", or "signed" (without quotes)');
+  }
+  return mode;
+}
+
+/**
+ * @param {TimecodeStandard} tcStd
+ * @return {number} Number of frames from 00:00:00:00 to 24:00:00:00.
+ * @private
+ */
+function framesPer24Hrs_(tcStd) {
+  return tcToFrameIdx_({hh: 24, mm: 0, ss: 0, ff: 0}, tcStd);
+}
+
+/**
+ * @param {number} frameIdx
+ * @param {TimecodeStandard} tcStd
+ * @param {string} mode One of OVERFLOW_MODES_.
+ * @return {number} Frame index within the 24-hour range, per the given mode.
+ * @private
+ */
+function applyOverflowMode_(frameIdx, tcStd, mode) {
+  const framesPer24Hrs = framesPer24Hrs_(tcStd);
+  const minFrameIdx = (mode === 'signed') ? (1 - framesPer24Hrs) : 0;
+  if ((minFrameIdx <= frameIdx) && (frameIdx < framesPer24Hrs)) {
+    return frameIdx;
+  }
+
+  if (mode === 'wrap') {
+    return ((frameIdx % framesPer24Hrs) + framesPer24Hrs) % framesPer24Hrs;
+  }
+  if (mode === 'clamp') {
+    return (frameIdx < 0) ? 0 : (framesPer24Hrs - 1);
+  }
+
+  const lastTc = frameIdxToTc_(framesPer24Hrs - 1, tcStd);
+  if (mode === 'signed') {
+    throw inputValueErr_(
+        `result must be in range -${lastTc} to ${lastTc} (or use "wrap" or "clamp")`);
+  }
+  throw inputValueErr_(
+      `result must be in range 00:00:00:00-${lastTc} (or use "wrap", "signed" or "clamp")`);
+}
+
+/**
+ * @param {string|undefined} overflow
+ * @return {boolean} True if overflow is "signed", so negative timecode input is valid.
+ * @private
+ */
+function allowsNegativeTc_(overflow) {
+  return !isOmitted_(overflow) && (parseOverflowMode_(overflow) === 'signed');
+}
+
+/**
+ * @param {number} frameIdx
+ * @param {TimecodeStandard} tcStd
+ * @param {string|undefined} overflow Optional overflow mode. If omitted, negative
+ *     frame indexes are an error (but there is no 24-hour limit).
+ * @param {boolean=} showSubframes Whether to show subframes even when zero.
+ * @return {string}
+ * @private
+ */
+function frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow, showSubframes) {
+  if (isOmitted_(overflow)) {
+    if (frameIdx < 0) {
+      throw inputValueErr_(
+          'negative timecode values are not supported (unless overflow is "wrap" or "signed")');
+    }
+    return frameIdxToTc_(frameIdx, tcStd, showSubframes);
+  }
+
+  const mode = parseOverflowMode_(overflow);
+  return frameIdxToTc_(applyOverflowMode_(frameIdx, tcStd, mode), tcStd, showSubframes);
+}
+
+/**
+ * @param {string|number} timecode
+ * @param {TimecodeStandard} tcStd
+ * @param {boolean=} allowNegative Whether negative timecode is valid.
+ * @return {number} Frame index of timecode.
+ * @throws {Error} if timecode is invalid.
+ * @private
+ */
+function validTcToFrameIdx_(timecode, tcStd, allowNegative) {
+  const tc = parseTc_(timecode);
+  validateTc_(timecode, tc, tcStd, allowNegative);
+  return tcToFrameIdx_(tc, tcStd);
+}
+
+/**
+ * @param {string|number} duration Duration timecode (a timecode label, so in drop
+ *     frame it can't be a dropped frame number).
+ * @param {TimecodeStandard} tcStd
+ * @param {boolean=} allowNegative Whether negative durations are valid.
+ * @return {number} Number of frames from 00:00:00:00 to the duration timecode.
+ * @throws {Error} if duration is invalid.
+ * @private
+ */
+function validDurationToFrameIdx_(duration, tcStd, allowNegative) {
+  const tc = parseTc_(duration);
+  if (isDropSec_(tc, tcStd) && (tc.ff < framesPerDroppedBlock_(tcStd))) {
+    const firstLabel = tcToStr_(Object.assign({}, tc, {ff: framesPerDroppedBlock_(tcStd)}), tcStd);
+    throw inputValueErr_(`duration "${duration}" is a dropped frame number (drop frame ` +
+        `durations are timecode labels, so use "${firstLabel}" for whole minutes)`);
+  }
+  validateTc_(duration, tc, tcStd, allowNegative);
+  return tcToFrameIdx_(tc, tcStd);
+}
+
+/**
+ * Adds a timecode duration to input timecode.
+ *
+ * The duration is measured as the number of frames from 00:00:00:00 to the
+ * duration timecode, so in 29.97 drop, adding "00:01:00:02" adds 1800 frames.
+ * Drop frame durations are timecode labels, so dropped frame numbers (e.g.
+ * "00:01:00:00") are an error: use the first label of the minute ("00:01:00:02")
+ * to add one minute.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {any[][]} duration Duration to add, in the same format as timecode.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle results past 23:59:59:FF: "error"
+ *     (default), "wrap" (roll over midnight), "clamp", or "signed".
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Timecode of timecode + duration.
+ * @customFunction
+ */
+function TC_ADD(timecode, duration, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_ADD, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  const mode = parseOverflowMode_(overflow);
+  const allowNegative = (mode === 'signed');
+
+  const frameIdx = validTcToFrameIdx_(timecode, tcStd, allowNegative) +
+      validDurationToFrameIdx_(duration, tcStd, allowNegative);
+  return frameIdxToTc_(applyOverflowMode_(frameIdx, tcStd, mode), tcStd);
+}
+
+/**
+ * Subtracts a timecode duration from input timecode.
+ *
+ * The duration is measured as the number of frames from 00:00:00:00 to the
+ * duration timecode, so in 29.97 drop, subtracting "00:01:00:02" subtracts 1800
+ * frames. Drop frame durations are timecode labels, so dropped frame numbers (e.g.
+ * "00:01:00:00") are an error: use the first label of the minute ("00:01:00:02")
+ * to subtract one minute.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {any[][]} duration Duration to subtract, in the same format as timecode.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle results before 00:00:00:00: "error"
+ *     (default), "wrap" (roll back past midnight), "clamp", or "signed" (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Timecode of timecode - duration.
+ * @customFunction
+ */
+function TC_SUBTRACT(timecode, duration, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_SUBTRACT, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  const mode = parseOverflowMode_(overflow);
+  const allowNegative = (mode === 'signed');
+
+  const frameIdx = validTcToFrameIdx_(timecode, tcStd, allowNegative) -
+      validDurationToFrameIdx_(duration, tcStd, allowNegative);
+  return frameIdxToTc_(applyOverflowMode_(frameIdx, tcStd, mode), tcStd);
+}
+
+/**
+ * Offsets input timecode by a number of frames (which may be negative).
+ *
+ * If this is a drop frame standard, dropped frames are not counted.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {number[][]} numFrames Integer number of frames to add (or subtract, if negative).
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle results outside 00:00:00:00 to 23:59:59:FF:
+ *     "error" (default), "wrap" (roll over midnight), "clamp", or "signed" (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Timecode of offset frame.
+ * @customFunction
+ */
+function TC_OFFSET_FRAMES(timecode, numFrames, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_OFFSET_FRAMES, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  const mode = parseOverflowMode_(overflow);
+  const allowNegative = (mode === 'signed');
+  if (!Number.isInteger(numFrames)) {
+    throw inputValueErr_('numFrames must be an integer');
+  }
+
+  const frameIdx = validTcToFrameIdx_(timecode, tcStd, allowNegative) + numFrames;
+  return frameIdxToTc_(applyOverflowMode_(frameIdx, tcStd, mode), tcStd);
+}
+
+/**
+ * Offsets input timecode by a duration in wall seconds (which may be negative),
+ * returning the timecode of the closest frame before or exactly equal to the
+ * resulting time.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {number[][]} wallSecs Duration in wall seconds (possibly fractional) to add (or
+ *     subtract, if negative).
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle results outside 00:00:00:00 to 23:59:59:FF:
+ *     "error" (default), "wrap" (roll over midnight), "clamp", or "signed" (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Timecode of nearest frame <= offset time.
+ * @customFunction
+ */
+function TC_OFFSET_WALL_SECS_LEFT(timecode, wallSecs, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_OFFSET_WALL_SECS_LEFT, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  const mode = parseOverflowMode_(overflow);
+  const allowNegative = (mode === 'signed');
+
+  validateWallSecs_(wallSecs);
+  const tcFrameIdx = validTcToFrameIdx_(timecode, tcStd, allowNegative);
+  const tcWallSecs = frameIdxToWallSecs_(tcFrameIdx, tcStd);
+  const frameIdx = wallSecsToIdx_(tcWallSecs + wallSecs, tcStd, 'left');
+  return frameIdxToTc_(applyOverflowMode_(frameIdx, tcStd, mode), tcStd);
+}
+
+/**
+ * Offsets input timecode by a duration in wall seconds (which may be negative),
+ * returning the timecode of the closest frame after or exactly equal to the
+ * resulting time.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {number[][]} wallSecs Duration in wall seconds (possibly fractional) to add (or
+ *     subtract, if negative).
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle results outside 00:00:00:00 to 23:59:59:FF:
+ *     "error" (default), "wrap" (roll over midnight), "clamp", or "signed" (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Timecode of nearest frame >= offset time.
+ * @customFunction
+ */
+function TC_OFFSET_WALL_SECS_RIGHT(timecode, wallSecs, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_OFFSET_WALL_SECS_RIGHT, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  const mode = parseOverflowMode_(overflow);
+  const allowNegative = (mode === 'signed');
+
+  validateWallSecs_(wallSecs);
+  const tcFrameIdx = validTcToFrameIdx_(timecode, tcStd, allowNegative);
+  const tcWallSecs = frameIdxToWallSecs_(tcFrameIdx, tcStd);
+  const frameIdx = wallSecsToIdx_(tcWallSecs + wallSecs, tcStd, 'right');
+  return frameIdxToTc_(applyOverflowMode_(frameIdx, tcStd, mode), tcStd);
+}
+
+/**
+ * Supported modes for snapping a time to a whole frame (or subframe, sample, etc.).
+ * - left: Closest frame before or exactly equal to the time.
+ * - right: Closest frame after or exactly equal to the time.
+ * - nearest: Closest frame (with exactly halfway rounding right).
+ * @private
+ */
+const SNAP_MODES_ = ['left', 'right', 'nearest'];
+
+/**
+ * Supported TC_CONVERT modes, in addition to SNAP_MODES_ (which keep the same
+ * wall time and snap to a frame in the new standard).
+ * - label: Keep the same HH:MM:SS position and rescale the FF frame number (rounded
+ *   down, unless the timecode has subframes).
+ * - pull: Keep the same frame (0.1% pull-up/pull-down or 24 <-> 25 speed change).
+ * @private
+ */
+const CONVERT_MODES_ = SNAP_MODES_.concat(['label', 'pull']);
+
+/**
+ * @param {ParsedTimecode} tc
+ * @param {TimecodeStandard} fromStd
+ * @param {TimecodeStandard} toStd
+ * @return {number} Frame index in toStd of the same HH:MM:SS position (fractional
+ *     only if tc has subframes).
+ * @private
+ */
+function convertTcLabel_(tc, fromStd, toStd) {
+  const fromFrames = tc.ff + ((tc.sf === undefined) ? 0 : (tc.sf / fromStd.subframesPerFrame));
+  const toFrames = fromFrames * toStd.intFps / fromStd.intFps;
+
+  const toTc = {
+    hh: tc.hh,
+    mm: tc.mm,
+    ss: tc.ss,
+    ff: Math.floor(toFrames),
+  };
+
+  // Labels that are dropped in the new standard move to the start of the next valid
+  // frame.
+  let subframeFraction = toFrames - Math.floor(toFrames);
+  if (isDropSec_(toTc, toStd) && (toTc.ff < framesPerDroppedBlock_(toStd))) {
+    toTc.ff = framesPerDroppedBlock_(toStd);
+    subframeFraction = 0;
+  }
+
+  // Plain timecode lands on a whole frame (the rescaled FF rounds down), and only
+  // timecode with a subframe field keeps the rest as subframes.
+  let frameIdx = tcToFrameIdx_(toTc, toStd);
+  if (tc.sf !== undefined) {
+    frameIdx += subframeFraction;
+  }
+  return tc.negative ? -frameIdx : frameIdx;
+}
+
+/**
+ * @param {TimecodeStandard} fromStd
+ * @param {TimecodeStandard} toStd
+ * @throws {Error} if the standards aren't related by a pull-up/pull-down or
+ *     24 <-> 25 fps speed change.
+ * @private
+ */
+function validatePullConversion_(fromStd, toStd) {
+  if (fromStd.intFps === toStd.intFps) {
+    return;  // 0.1% pull-up or pull-down (e.g. 24.00 <-> 23.976), or no change.
+  }
+
+  const intFpsPair = [fromStd.intFps, toStd.intFps].sort().join(',');
+  if (intFpsPair !== '24,25') {
+    throw inputValueErr_('"pull" mode only converts between 0.1% pull-up/pull-down rates ' +
+        '(e.g. "24.00" and "23.976") or 24 <-> 25 fps speed changes');
+  }
+}
+
+/**
+ * Converts input timecode from one timecode standard to another.
+ *
+ * Supported modes:
+ * - "left", "right", or "nearest": Keep the same wall time, and snap to the
+ *   closest frame before, after, or nearest to it in the new standard.
+ * - "label": Keep the same HH:MM:SS position and rescale the FF frame number
+ *   (e.g. 01:00:10:12 at 24.00 becomes 01:00:10:15 at 30.00), rounding down to a
+ *   whole frame unless the timecode has a subframe field.
+ * - "pull": Keep the same frame (e.g. 24.00 <-> 23.976 pull-down/pull-up, or
+ *   25.00 -> 24.00 speed change), so the wall time changes with the speed.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {any[][]} [fromRate] Frame rate of input timecode, as a plain text string
+ *     with exactly 2 or 3 decimal digits of precision after the period (e.g. "23.976"),
+ *     an exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [fromDrop] "drop" or "non-drop" for input timecode (optional
+ *     if included in fromRate, or if fromRate has no drop frame standard).
+ * @param {any[][]} [toRate] Frame rate of output timecode, as a plain text string
+ *     with exactly 2 or 3 decimal digits of precision after the period (e.g. "29.97"),
+ *     an exact ratio (e.g. "30000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF"). Required.
+ * @param {string[][]} [toDrop] "drop" or "non-drop" for output timecode (optional
+ *     if included in toRate, or if toRate has no drop frame standard).
+ * @param {string[][]} [mode] "left", "right", "nearest", "label", or "pull". Required.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight), "signed" (e.g. "-00:00:02:00"), "clamp", or "error".
+ *     If omitted, negative values are an error.
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Timecode in the new standard.
+ * @customFunction
+ */
+function TC_CONVERT(timecode, fromRate, fromDrop, toRate, toDrop, mode, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_CONVERT, arguments);
+  }
+
+  // NOTE: toRate and mode are only marked optional so that fromDrop and toDrop
+  // can be omitted (e.g. with combined "23.976 NDF" and "29.97 DF" standards).
+  if (isOmitted_(toRate)) {
+    throw inputValueErr_('toRate is required (e.g. "29.97 DF")');
+  }
+  if (isOmitted_(mode)) {
+    throw inputValueErr_('mode is required: "left", "right", "nearest", "label", or "pull"');
+  }
+
+  const fromStd = parseTcStd_(fromRate, fromDrop, subframes);
+  const toStd = parseTcStd_(toRate, toDrop, subframes);
+
+  if (typeof mode !== 'string') {
+    throw inputValueErr_('mode must be a single plain text value');
+  }
+  mode = mode.trim().toLowerCase();
+  if (CONVERT_MODES_.indexOf(mode) < 0) {
+    throw inputValueErr_(
+        'mode value must be "left", "right", "nearest", "label", or "pull" (without quotes)');
+  }
+
+  const tc = parseTc_(timecode);
+  validateTc_(timecode, tc, fromStd, allowsNegativeTc_(overflow));
+
+  if (mode === 'label') {
+    return frameIdxToTcWithOverflow_(
+        convertTcLabel_(tc, fromStd, toStd), toStd, overflow, (tc.sf !== undefined));
+  }
+
+  const fromIdx = tcToFrameIdx_(tc, fromStd);
+  if (mode === 'pull') {
+    validatePullConversion_(fromStd, toStd);
+    return frameIdxToTcWithOverflow_(fromIdx, toStd, overflow);
+  }
+
+  // Keep the same wall time, snapped to a frame in the new standard.
+  const toIdx = wallSecsToIdx_(frameIdxToWallSecs_(fromIdx, fromStd), toStd, mode);
+  return frameIdxToTcWithOverflow_(toIdx, toStd, overflow);
+}
+
+/**
+ * Supported audio sample rates (as exact rational numbers of samples per wall
+ * seconds), keyed by their nominal rate in Hz.
+ * @private
+ */
+const SAMPLE_RATES_ = {
+  '44056': {samples: 44100000, perWallSecs: 1001},  // 44055.944... (44.1 kHz pulled down)
+  '44100': {samples: 44100, perWallSecs: 1},
+  '44144': {samples: 441441, perWallSecs: 10},      // 44144.1 (44.1 kHz pulled up)
+  '47952': {samples: 48000000, perWallSecs: 1001},  // 47952.047... (48 kHz pulled down)
+  '48000': {samples: 48000, perWallSecs: 1},
+  '48048': {samples: 48048, perWallSecs: 1},        // 48 kHz pulled up
+  '88200': {samples: 88200, perWallSecs: 1},
+  '95904': {samples: 96000000, perWallSecs: 1001},  // 95904.095... (96 kHz pulled down)
+  '96000': {samples: 96000, perWallSecs: 1},
+  '96096': {samples: 96096, perWallSecs: 1},        // 96 kHz pulled up
+  '176400': {samples: 176400, perWallSecs: 1},
+  '192000': {samples: 192000, perWallSecs: 1},
+};
+
+/** @private */
+const MAX_KHZ_ = 1000;
+
+/** @private */
+const SAMPLE_RATE_STR_FMT_ = /^([0-9]+(?:\.[0-9]+)?)\s*(hz|khz)?$/;
+
+/**
+ * Exact audio sample rate.
+ * @typedef {{
+ *   samples: number,
+ *   perWallSecs: number,
+ * }} SampleRate
+ */
+
+/**
+ * @param {string|number} sampleRate Nominal rate in Hz (e.g. 48000 or "47952 Hz"), or
+ *     in kHz (e.g. 44.1 or "47.952 kHz").
+ * @return {SampleRate}
+ * @private
+ */
+function parseSampleRate_(sampleRate) {
+  let hz = sampleRate;
+  let unit;
+  if (typeof sampleRate === 'string') {
+    const match = SAMPLE_RATE_STR_FMT_.exec(sampleRate.trim().toLowerCase());
+    if (!match) {
+      throw inputValueErr_('sampleRate must be a number in Hz (e.g. 48000) or kHz ' +
+          '(e.g. "47.952 kHz")');
+    }
+    hz = Number(match[1]);
+    unit = match[2];
+  }
+
+  // Values without a unit below MAX_KHZ_ (e.g. 44.1) are in kHz.
+  if ((unit === 'khz') || ((unit === undefined) && (hz < MAX_KHZ_))) {
+    // Avoid floating point error in kHz values like 44.1.
+    hz = Math.round(hz * 1000 * 1000) / 1000;
+  }
+
+  if (!Number.isInteger(hz) || !(String(hz) in SAMPLE_RATES_)) {
+    throw inputValueErr_(`Unsupported sample rate: "${sampleRate}"`);
+  }
+  return SAMPLE_RATES_[String(hz)];
+}
+
+/**
+ * @param {number} a Non-negative integer.
+ * @param {number} b Non-negative integer.
+ * @return {number} Greatest common divisor of a and b.
+ * @private
+ */
+function gcd_(a, b) {
+  while (b !== 0) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * Exact number of samples per frame, as a reduced fraction (so that multiplying
+ * by a frame index stays within exact integer range).
+ * @param {SampleRate} sampleRate
+ * @param {TimecodeStandard} tcStd
+ * @return {{num: number, den: number}}
+ * @private
+ */
+function samplesPerFrame_(sampleRate, tcStd) {
+  const num = sampleRate.samples * tcStd.perWallSecs;
+  const den = sampleRate.perWallSecs * tcStd.frames;
+  const divisor = gcd_(num, den);
+  return {num: num / divisor, den: den / divisor};
+}
+
+/**
+ * @param {number} samples
+ * @throws {Error} if samples isn't an integer.
+ * @private
+ */
+function validateSamples_(samples) {
+  if (!Number.isInteger(samples)) {
+    throw inputValueErr_('samples must be an integer number of samples');
+  }
+}
+
+/**
+ * @param {number} frameIdx Frame index (possibly fractional, for subframes).
+ * @param {SampleRate} sampleRate
+ * @param {TimecodeStandard} tcStd
+ * @return {number} Index of first sample at or after the start of the frame.
+ * @private
+ */
+function frameIdxToSamples_(frameIdx, sampleRate, tcStd) {
+  const perFrame = samplesPerFrame_(sampleRate, tcStd);
+  return Math.ceil(frameIdx * perFrame.num / perFrame.den);
+}
+
+/**
+ * @param {number} samples
+ * @param {SampleRate} sampleRate
+ * @param {TimecodeStandard} tcStd
+ * @return {number} Fractional frame index of the given sample.
+ * @private
+ */
+function samplesToFractionalFrameIdx_(samples, sampleRate, tcStd) {
+  validateSamples_(samples);
+  const perFrame = samplesPerFrame_(sampleRate, tcStd);
+  return samples * perFrame.den / perFrame.num;
+}
+
+/**
+ * Returns the sample count from origin 00:00:00:00 to the first sample of the
+ * given timecode's frame (e.g. the BWF TimeReference for a file starting there).
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {any[][]} sampleRate Sample rate in Hz (e.g. 48000 or 47952), or in kHz
+ *     (e.g. 44.1 or "47.952 kHz").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] Use "signed" to accept negative timecode (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {number[][]} Integer sample count (first sample >= timecode).
+ * @customFunction
+ */
+function TC_TO_SAMPLES(timecode, sampleRate, frameRate, dropType, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_TO_SAMPLES, arguments);
+  }
+
+  const rate = parseSampleRate_(sampleRate);
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  const frameIdx = validTcToFrameIdx_(timecode, tcStd, allowsNegativeTc_(overflow));
+  return frameIdxToSamples_(frameIdx, rate, tcStd);
+}
+
+/**
+ * Returns the sample count from origin 00:00:00:00 to the first sample of the
+ * given frame.
+ * @param {number[][]} frameIdx The 0-based frame index.
+ * @param {any[][]} sampleRate Sample rate in Hz (e.g. 48000 or 47952), or in kHz
+ *     (e.g. 44.1 or "47.952 kHz").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @return {number[][]} Integer sample count (first sample >= start of frame).
+ * @customFunction
+ */
+function FRAMEIDX_TO_SAMPLES(frameIdx, sampleRate, frameRate, dropType) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(FRAMEIDX_TO_SAMPLES, arguments);
+  }
+
+  const rate = parseSampleRate_(sampleRate);
+  const tcStd = parseTcStd_(frameRate, dropType);
+  if (!Number.isInteger(frameIdx)) {
+    throw inputValueErr_('frameIdx must be an integer');
+  }
+  return frameIdxToSamples_(frameIdx, rate, tcStd);
+}
+
+/**
+ * Converts a sample count to wall time in seconds.
+ * @param {number[][]} samples Integer sample count (e.g. offset from 00:00:00:00).
+ * @param {any[][]} sampleRate Sample rate in Hz (e.g. 48000 or 47952), or in kHz
+ *     (e.g. 44.1 or "47.952 kHz").
+ * @return {number[][]} Wall time in seconds (possibly fractional).
+ * @customFunction
+ */
+function SAMPLES_TO_WALL_SECS(samples, sampleRate) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(SAMPLES_TO_WALL_SECS, arguments);
+  }
+
+  const rate = parseSampleRate_(sampleRate);
+  validateSamples_(samples);
+  return samples * rate.perWallSecs / rate.samples;
+}
+
+/**
+ * Returns the closest sample before or exactly equal to the given wallSecs.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional).
+ * @param {any[][]} sampleRate Sample rate in Hz (e.g. 48000 or 47952), or in kHz
+ *     (e.g. 44.1 or "47.952 kHz").
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     sample time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {number[][]} Integer sample count <= given wallSecs.
+ * @customFunction
+ */
+function WALL_SECS_TO_SAMPLES_LEFT(wallSecs, sampleRate, toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_SAMPLES_LEFT, arguments);
+  }
+
+  const rate = parseSampleRate_(sampleRate);
+  return wallSecsToUnitIdx_(wallSecs, {
+    name: 'sample',
+    units: rate.samples,
+    perWallSecs: rate.perWallSecs,
+  }, 'left', parseToleranceSecs_(toleranceSecs));
+}
+
+/**
+ * Returns the closest sample after or exactly equal to the given wallSecs.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional).
+ * @param {any[][]} sampleRate Sample rate in Hz (e.g. 48000 or 47952), or in kHz
+ *     (e.g. 44.1 or "47.952 kHz").
+ * @param {number[][]} [toleranceSecs] Wall times within this many seconds of an exact
+ *     sample time snap to it, 0.000000001 (a nanosecond) by default.
+ * @return {number[][]} Integer sample count >= given wallSecs.
+ * @customFunction
+ */
+function WALL_SECS_TO_SAMPLES_RIGHT(wallSecs, sampleRate, toleranceSecs) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_SAMPLES_RIGHT, arguments);
+  }
+
+  const rate = parseSampleRate_(sampleRate);
+  return wallSecsToUnitIdx_(wallSecs, {
+    name: 'sample',
+    units: rate.samples,
+    perWallSecs: rate.perWallSecs,
+  }, 'right', parseToleranceSecs_(toleranceSecs));
+}
+
+/**
+ * Returns frame index of the frame containing the given sample (the closest
+ * frame starting before or exactly at it).
+ * @param {number[][]} samples Integer sample count offset from 00:00:00:00.
+ * @param {any[][]} sampleRate Sample rate in Hz (e.g. 48000 or 47952), or in kHz
+ *     (e.g. 44.1 or "47.952 kHz").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @return {number[][]} Integer frame index <= given sample.
+ * @customFunction
+ */
+function SAMPLES_TO_FRAMEIDX_LEFT(samples, sampleRate, frameRate, dropType) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(SAMPLES_TO_FRAMEIDX_LEFT, arguments);
+  }
+
+  const rate = parseSampleRate_(sampleRate);
+  const tcStd = parseTcStd_(frameRate, dropType);
+  return Math.floor(samplesToFractionalFrameIdx_(samples, rate, tcStd));
+}
+
+/**
+ * Returns frame index of the closest frame starting after or exactly at the
+ * given sample.
+ * @param {number[][]} samples Integer sample count offset from 00:00:00:00.
+ * @param {any[][]} sampleRate Sample rate in Hz (e.g. 48000 or 47952), or in kHz
+ *     (e.g. 44.1 or "47.952 kHz").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @return {number[][]} Integer frame index >= given sample.
+ * @customFunction
+ */
+function SAMPLES_TO_FRAMEIDX_RIGHT(samples, sampleRate, frameRate, dropType) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(SAMPLES_TO_FRAMEIDX_RIGHT, arguments);
+  }
+
+  const rate = parseSampleRate_(sampleRate);
+  const tcStd = parseTcStd_(frameRate, dropType);
+  return Math.ceil(samplesToFractionalFrameIdx_(samples, rate, tcStd));
+}
+
+/**
+ * Returns timecode of the frame containing the given sample (the closest frame
+ * starting before or exactly at it).
+ *
+ * Note that negative samples are only supported with "wrap" or "signed" overflow.
+ * @param {number[][]} samples Integer sample count offset from 00:00:00:00.
+ * @param {any[][]} sampleRate Sample rate in Hz (e.g. 48000 or 47952), or in kHz
+ *     (e.g. 44.1 or "47.952 kHz").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight), "signed" (e.g. "-00:00:02:00"), "clamp", or "error".
+ *     If omitted, negative values are an error.
+ * @return {string[][]} Timecode of nearest frame <= given sample.
+ * @customFunction
+ */
+function SAMPLES_TO_TC_LEFT(samples, sampleRate, frameRate, dropType, overflow) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(SAMPLES_TO_TC_LEFT, arguments);
+  }
+
+  const rate = parseSampleRate_(sampleRate);
+  const tcStd = parseTcStd_(frameRate, dropType);
+
+  const frameIdx = Math.floor(samplesToFractionalFrameIdx_(samples, rate, tcStd));
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow);
+}
+
+/**
+ * Returns timecode of the closest frame starting after or exactly at the given
+ * sample.
+ *
+ * Note that negative samples are only supported with "wrap" or "signed" overflow.
+ * @param {number[][]} samples Integer sample count offset from 00:00:00:00.
+ * @param {any[][]} sampleRate Sample rate in Hz (e.g. 48000 or 47952), or in kHz
+ *     (e.g. 44.1 or "47.952 kHz").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight), "signed" (e.g. "-00:00:02:00"), "clamp", or "error".
+ *     If omitted, negative values are an error.
+ * @return {string[][]} Timecode of nearest frame >= given sample.
+ * @customFunction
+ */
+function SAMPLES_TO_TC_RIGHT(samples, sampleRate, frameRate, dropType, overflow) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(SAMPLES_TO_TC_RIGHT, arguments);
+  }
+
+  const rate = parseSampleRate_(sampleRate);
+  const tcStd = parseTcStd_(frameRate, dropType);
+
+  const frameIdx = Math.ceil(samplesToFractionalFrameIdx_(samples, rate, tcStd));
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow);
+}
+
+/**
+ * Supported clock string formats.
+ * - ms: Milliseconds after a period (e.g. "01:02:03.456").
+ * - srt: SubRip subtitle timestamp, with a comma (e.g. "01:02:03,456").
+ * - vtt: WebVTT timestamp (e.g. "01:02:03.456", the same as "ms").
+ * - secs: Whole seconds without frames (e.g. "01:02:03").
+ * @private
+ */
+const CLOCKSTR_FORMATS_ = ['ms', 'srt', 'vtt', 'secs'];
+
+/** @private */
+const MS_PER_SEC_ = 1000;
+
+/**
+ * Clock string with optional hours (e.g. WebVTT "02:03.456") and optional fraction
+ * of a second after a period or comma.
+ * @private
+ */
+const CLOCKSTR_FMT_ =
+    /^(-?)(?:([0-9][0-9]+):)?([0-9][0-9]):([0-9][0-9])(?:[.,]([0-9]{1,6}))?$/;
+
+/**
+ * Clock time as an exact ratio of wall seconds.
+ * @typedef {{
+ *   num: number,
+ *   perWallSecs: number,
+ * }} ClockTime
+ */
+
+/**
+ * @param {string} clockStr
+ * @return {ClockTime}
+ * @private
+ */
+function parseClockStr_(clockStr) {
+  if (typeof clockStr !== 'string') {
+    throw inputValueErr_('clockStr must be a single plain text value');
+  }
+
+  const matches = clockStr.trim().match(CLOCKSTR_FMT_);
+  if (!matches) {
+    throw inputValueErr_('clockStr must be in HH:MM:SS.mmm, HH:MM:SS,mmm (SRT), MM:SS.mmm, or ' +
+        `HH:MM:SS format: "${clockStr}"`);
+  }
+
+  const hh = Number(matches[2] || 0);
+  const mm = Number(matches[3]);
+  const ss = Number(matches[4]);
+  if ((mm >= MINS_PER_HR_) || (ss >= SECS_PER_MIN_)) {
+    throw inputValueErr_(`clockStr MM and SS must be in range 00-59: "${clockStr}"`);
+  }
+
+  // Keep the fraction as an exact ratio (e.g. ".456" is 456 / 1000), so that its wall
+  // seconds are a single correctly rounded division.
+  const fracDigits = matches[5] || '';
+  const perWallSecs = 10 ** fracDigits.length;
+  const wholeSecs = (hh * MINS_PER_HR_ + mm) * SECS_PER_MIN_ + ss;
+  const num = wholeSecs * perWallSecs + Number(fracDigits || 0);
+
+  return {
+    num: (matches[1] === '-') ? -num : num,
+    perWallSecs: perWallSecs,
+  };
+}
+
+/**
+ * @param {string} format Optional clock string format.
+ * @return {string} One of CLOCKSTR_FORMATS_.
+ * @private
+ */
+function parseClockStrFormat_(format) {
+  if (isOmitted_(format)) {
+    return CLOCKSTR_FORMATS_[0];
+  }
+  if (typeof format !== 'string') {
+    throw inputValueErr_('format must be a single plain text value');
+  }
+
+  format = format.trim().toLowerCase();
+  if (CLOCKSTR_FORMATS_.indexOf(format) < 0) {
+    throw inputValueErr_('format value must be "ms", "srt", "vtt", or "secs" (without quotes)');
+  }
+  return format;
+}
+
+/**
+ * @param {number} ms Integer number of milliseconds.
+ * @param {string} format One of CLOCKSTR_FORMATS_.
+ * @return {string}
+ * @private
+ */
+function msToClockStr_(ms, format) {
+  const sign = (ms < 0) ? '-' : '';
+  ms = Math.abs(ms);
+
+  const fracMs = ms % MS_PER_SEC_;
+  let secs = (ms - fracMs) / MS_PER_SEC_;
+
+  const hh = Math.floor(secs / (MINS_PER_HR_ * SECS_PER_MIN_));
+  secs -= (MINS_PER_HR_ * SECS_PER_MIN_) * hh;
+
+  const mm = Math.floor(secs / SECS_PER_MIN_);
+  secs -= SECS_PER_MIN_ * mm;
+
+  const hhmmss = [hh, mm, secs].map((value) => String(value).padStart(2, '0')).join(':');
+  if (format === 'secs') {
+    return sign + hhmmss;
+  }
+
+  const separator = (format === 'srt') ? ',' : '.';
+  return sign + hhmmss + separator + String(fracMs).padStart(3, '0');
+}
+
+/**
+ * Converts input timecode to a clock time string (e.g. "01:02:03.456" or SRT
+ * "01:02:03,456") of the wall time at the start of the frame, rounded to the
+ * nearest millisecond.
+ *
+ * Supported formats:
+ * - "ms" (default) or "vtt": Milliseconds after a period (e.g. "01:02:03.456").
+ * - "srt": SubRip subtitle timestamp, with a comma (e.g. "01:02:03,456").
+ * - "secs": Whole seconds without frames (e.g. "01:02:03"), truncated.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [format] "ms" (default), "srt", "vtt", or "secs".
+ * @param {string[][]} [overflow] Use "signed" to accept negative timecode (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Clock time string.
+ * @customFunction
+ */
+function TC_TO_CLOCKSTR(timecode, frameRate, dropType, format, overflow, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_TO_CLOCKSTR, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  format = parseClockStrFormat_(format);
+  const frameIdx = validTcToFrameIdx_(timecode, tcStd, allowsNegativeTc_(overflow));
+
+  const fractionalMs = frameIdx * tcStd.perWallSecs * MS_PER_SEC_ / tcStd.frames;
+  const ms = (format === 'secs') ?
+      Math.trunc(fractionalMs / MS_PER_SEC_) * MS_PER_SEC_ : Math.round(fractionalMs);
+  return msToClockStr_(ms, format);
+}
+
+/**
+ * Converts time in wall seconds to a clock time string (e.g. "01:02:03.456" or
+ * SRT "01:02:03,456"), rounded to the nearest millisecond.
+ * @param {number[][]} wallSecs Time in wall seconds (possibly fractional) offset from
+ *     origin 00:00:00:00.
+ * @param {string[][]} [format] "ms" (default), "srt", "vtt", or "secs" (whole
+ *     seconds, truncated).
+ * @return {string[][]} Clock time string.
+ * @customFunction
+ */
+function WALL_SECS_TO_CLOCKSTR(wallSecs, format) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(WALL_SECS_TO_CLOCKSTR, arguments);
+  }
+
+  if ((typeof wallSecs !== 'number') || !Number.isFinite(wallSecs)) {
+    throw inputValueErr_('wallSecs must be a finite number');
+  }
+  format = parseClockStrFormat_(format);
+
+  const ms = (format === 'secs') ?
+      Math.trunc(wallSecs) * MS_PER_SEC_ : Math.round(wallSecs * MS_PER_SEC_);
+  return msToClockStr_(ms, format);
+}
+
+/**
+ * Converts a clock time string (e.g. "01:02:03.456", SRT "01:02:03,456", WebVTT
+ * "02:03.456", or "01:02:03") to time in wall seconds.
+ * @param {string[][]} clockStr Clock time string.
+ * @return {number[][]} Time in wall seconds (possibly fractional).
+ * @customFunction
+ */
+function CLOCKSTR_TO_WALL_SECS(clockStr) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(CLOCKSTR_TO_WALL_SECS, arguments);
+  }
+
+  const clockTime = parseClockStr_(clockStr);
+  return clockTime.num / clockTime.perWallSecs;
+}
+
+/**
+ * @param {string} clockStr
+ * @param {TimecodeStandard} tcStd
+ * @param {string} snap One of SNAP_MODES_.
+ * @return {number} Frame index of the clock time, snapped like wall seconds.
+ * @private
+ */
+function clockStrToFrameIdx_(clockStr, tcStd, snap) {
+  const clockTime = parseClockStr_(clockStr);
+  return wallSecsToIdx_(clockTime.num / clockTime.perWallSecs, tcStd, snap);
+}
+
+/**
+ * Returns timecode string of closest frame before or exactly equal to the given
+ * clock time string (e.g. "01:02:03.456" or SRT "01:02:03,456").
+ *
+ * Note that negative clock times are only supported with "wrap" or "signed" overflow.
+ * @param {string[][]} clockStr Clock time string.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight), "signed" (e.g. "-00:00:02:00"), "clamp", or "error".
+ *     If omitted, negative values are an error.
+ * @return {string[][]} Timecode of nearest frame <= clock time.
+ * @customFunction
+ */
+function CLOCKSTR_TO_TC_LEFT(clockStr, frameRate, dropType, overflow) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(CLOCKSTR_TO_TC_LEFT, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType);
+  const frameIdx = clockStrToFrameIdx_(clockStr, tcStd, 'left');
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow);
+}
+
+/**
+ * Returns timecode string of closest frame after or exactly equal to the given
+ * clock time string (e.g. "01:02:03.456" or SRT "01:02:03,456").
+ *
+ * Note that negative clock times are only supported with "wrap" or "signed" overflow.
+ * @param {string[][]} clockStr Clock time string.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight), "signed" (e.g. "-00:00:02:00"), "clamp", or "error".
+ *     If omitted, negative values are an error.
+ * @return {string[][]} Timecode of nearest frame >= clock time.
+ * @customFunction
+ */
+function CLOCKSTR_TO_TC_RIGHT(clockStr, frameRate, dropType, overflow) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(CLOCKSTR_TO_TC_RIGHT, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType);
+  const frameIdx = clockStrToFrameIdx_(clockStr, tcStd, 'right');
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow);
+}
+
+/**
+ * Returns timecode string of the frame nearest to the given clock time string
+ * (e.g. "01:02:03.456" or SRT "01:02:03,456"), with exactly halfway rounding to
+ * the later frame.
+ *
+ * Note that negative clock times are only supported with "wrap" or "signed" overflow.
+ * @param {string[][]} clockStr Clock time string.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight), "signed" (e.g. "-00:00:02:00"), "clamp", or "error".
+ *     If omitted, negative values are an error.
+ * @return {string[][]} Timecode of nearest frame to clock time.
+ * @customFunction
+ */
+function CLOCKSTR_TO_TC_NEAREST(clockStr, frameRate, dropType, overflow) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(CLOCKSTR_TO_TC_NEAREST, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType);
+  const frameIdx = clockStrToFrameIdx_(clockStr, tcStd, 'nearest');
+  return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow);
+}
+
+/**
+ * Resolution of bars|beats|ticks positions, in ticks per quarter note.
+ * @private
+ */
+const TICKS_PER_QUARTER_ = 960;
+
+/** @private */
+const METER_STR_FMT_ = /^([0-9]+)\s*\/\s*([0-9]+)$/;
+
+/** @private */
+const BARS_BEATS_STR_FMT_ = /^(-?[0-9]+)(?:\s*[|.]\s*([0-9]+)(?:\s*[|.]\s*([0-9]+))?)?$/;
+
+/**
+ * Musical meter (time signature), measured in ticks.
+ * @typedef {{
+ *   beatsPerBar: number,
+ *   ticksPerBeat: number,
+ *   ticksPerBar: number,
+ * }} Meter
+ */
+
+/**
+ * @param {string} meter Time signature (e.g. "4/4" or "6/8").
+ * @return {Meter}
+ * @private
+ */
+function parseMeter_(meter) {
+  if (typeof meter !== 'string') {
+    throw inputValueErr_('meter must be a single plain text value (e.g. "4/4" or "6/8")');
+  }
+
+  const matches = meter.trim().match(METER_STR_FMT_);
+  if (!matches) {
+    throw inputValueErr_(`meter must be in N/D format (e.g. "4/4" or "6/8"): "${meter}"`);
+  }
+
+  const beatsPerBar = Number(matches[1]);
+  const beatUnit = Number(matches[2]);
+  const ticksPerBeat = TICKS_PER_QUARTER_ * 4 / beatUnit;
+  if ((beatsPerBar < 1) || !Number.isInteger(ticksPerBeat) || ((beatUnit & (beatUnit - 1)) !== 0)) {
+    throw inputValueErr_(`Unsupported meter: "${meter}"`);
+  }
+
+  return {
+    beatsPerBar: beatsPerBar,
+    ticksPerBeat: ticksPerBeat,
+    ticksPerBar: beatsPerBar * ticksPerBeat,
+  };
+}
+
+/**
+ * @param {number} bpm
+ * @return {number}
+ * @private
+ */
+function parseBpm_(bpm) {
+  if ((typeof bpm !== 'number') || !Number.isFinite(bpm) || (bpm <= 0)) {
+    throw inputValueErr_('bpm must be a positive number of quarter notes per minute');
+  }
+  return bpm;
+}
+
+/**
+ * @param {number} ticks Integer ticks offset from the start of bar 1.
+ * @param {Meter} meter
+ * @param {number=} meterStartTicks Ticks offset of the first bar in this meter
+ *     (0 by default).
+ * @param {number=} meterStartBar Bar number of the first bar in this meter (1 by
+ *     default).
+ * @return {string} Musical position in "bar|beat|tick" format (e.g. "5|3|480").
+ * @private
+ */
+function ticksToBarsBeatsStr_(ticks, meter, meterStartTicks = 0, meterStartBar = 1) {
+  // Positions before the start are in bar 0, -1, etc.
+  const barIdx = Math.floor((ticks - meterStartTicks) / meter.ticksPerBar);
+  const ticksInBar = ticks - meterStartTicks - (barIdx * meter.ticksPerBar);
+
+  const beatIdx = Math.floor(ticksInBar / meter.ticksPerBeat);
+  const tick = ticksInBar - (beatIdx * meter.ticksPerBeat);
+
+  return `${meterStartBar + barIdx}|${beatIdx + 1}|${String(tick).padStart(3, '0')}`;
+}
+
+/**
+ * Musical position, as written in "bar|beat|tick" format.
+ * @typedef {{
+ *   bar: number,
+ *   beat: number,
+ *   tick: number,
+ * }} BarsBeats
+ */
+
+/**
+ * @param {string|number} barsBeats Musical position in "bar|beat|tick" format (e.g.
+ *     "5|3|480"), where beat and tick are optional (or an integer bar number).
+ * @return {BarsBeats}
+ * @private
+ */
+function parseBarsBeats_(barsBeats) {
+  if (Number.isInteger(barsBeats)) {
+    return {bar: barsBeats, beat: 1, tick: 0};
+  }
+  if (typeof barsBeats !== 'string') {
+    throw inputValueErr_('barsBeats must be a single plain text value');
+  }
+
+  const matches = barsBeats.trim().match(BARS_BEATS_STR_FMT_);
+  if (!matches) {
+    throw inputValueErr_(`barsBeats must be in bar|beat|tick format (e.g. "5|3|480"): ` +
+        `"${barsBeats}"`);
+  }
+
+  return {
+    bar: Number(matches[1]),
+    beat: (matches[2] === undefined) ? 1 : Number(matches[2]),
+    tick: (matches[3] === undefined) ? 0 : Number(matches[3]),
+  };
+}
+
+/**
+ * @param {BarsBeats} barsBeats
+ * @param {Meter} meter Meter of the bar.
+ * @param {number} barStartTicks Ticks offset of the start of the bar.
+ * @return {number} Integer ticks offset of the position.
+ * @private
+ */
+function barsBeatsToTicksInMeter_(barsBeats, meter, barStartTicks) {
+  const beat = barsBeats.beat;
+  const tick = barsBeats.tick;
+  if ((beat < 1) || (meter.beatsPerBar < beat)) {
+    throw inputValueErr_(`barsBeats beat must be in range 1-${meter.beatsPerBar}: "${beat}"`);
+  }
+  if (tick >= meter.ticksPerBeat) {
+    throw inputValueErr_(`barsBeats tick must be in range 0-${meter.ticksPerBeat - 1}: "${tick}"`);
+  }
+
+  return barStartTicks + ((beat - 1) * meter.ticksPerBeat) + tick;
+}
+
+/**
+ * @param {string} barsBeats Musical position in "bar|beat|tick" format (e.g.
+ *     "5|3|480"), where beat and tick are optional.
+ * @param {Meter} meter
+ * @return {number} Integer ticks offset from the start of bar 1.
+ * @private
+ */
+function barsBeatsStrToTicks_(barsBeats, meter) {
+  const parsed = parseBarsBeats_(barsBeats);
+  return barsBeatsToTicksInMeter_(parsed, meter, (parsed.bar - 1) * meter.ticksPerBar);
+}
+
+/**
+ * @param {number} bpm
+ * @return {UnitRate} Ticks per wall seconds at a constant tempo.
+ * @private
+ */
+function tickRate_(bpm) {
+  return {name: 'tick', units: bpm * TICKS_PER_QUARTER_, perWallSecs: SECS_PER_MIN_};
+}
+
+/**
+ * @param {number} frameIdxOffset Frames (possibly fractional) after the start.
+ * @param {number} bpm
+ * @param {TimecodeStandard} tcStd
+ * @return {number} Fractional ticks after the start.
+ * @private
+ */
+function frameIdxOffsetToTicks_(frameIdxOffset, bpm, tcStd) {
+  // Multiply before dividing, so that exact tick boundaries stay exact.
+  return (frameIdxOffset * tcStd.perWallSecs * bpm * TICKS_PER_QUARTER_) /
+      (tcStd.frames * SECS_PER_MIN_);
+}
+
+/**
+ * @param {number} ticks Ticks after the start.
+ * @param {number} bpm
+ * @param {TimecodeStandard} tcStd
+ * @return {number} Fractional frames after the start.
+ * @private
+ */
+function ticksToFrameIdxOffset_(ticks, bpm, tcStd) {
+  return (ticks * SECS_PER_MIN_ * tcStd.frames) /
+      (bpm * TICKS_PER_QUARTER_ * tcStd.perWallSecs);
+}
+
+/**
+ * Returns the musical position (in "bar|beat|tick" format) of the input timecode,
+ * for a session at a constant tempo where bar 1 starts at startTc. There are 960
+ * ticks per quarter note (so 480 ticks per beat in 6/8).
+ *
+ * Positions before startTc are in bar 0, -1, etc.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {any[][]} startTc Timecode of the start of bar 1 (e.g. "01:00:00:00").
+ * @param {number[][]} bpm Tempo in quarter notes per minute (e.g. 120).
+ * @param {string[][]} meter Time signature (e.g. "4/4" or "6/8").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] Use "signed" to accept negative timecode (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Musical position of the timecode (rounded down to a whole tick).
+ * @customFunction
+ */
+function TC_TO_BARS_BEATS(timecode, startTc, bpm, meter, frameRate, dropType, overflow,
+    subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_TO_BARS_BEATS, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  bpm = parseBpm_(bpm);
+  meter = parseMeter_(meter);
+  const allowNegative = allowsNegativeTc_(overflow);
+  const frameIdx = validTcToFrameIdx_(timecode, tcStd, allowNegative);
+  const startFrameIdx = validTcToFrameIdx_(startTc, tcStd, allowNegative);
+
+  // Snap tiny floating point error (e.g. with fractional bpm) to a whole tick.
+  const wallSecs = frameIdxToWallSecs_(frameIdx - startFrameIdx, tcStd);
+  const ticks = wallSecsToUnitIdx_(wallSecs, tickRate_(bpm), 'left');
+  return ticksToBarsBeatsStr_(ticks, meter);
+}
+
+/**
+ * Returns timecode string of the closest frame before or exactly at the given
+ * musical position (in "bar|beat|tick" format), for a session at a constant tempo
+ * where bar 1 starts at startTc.
+ *
+ * Note that positions before 00:00:00:00 are only supported with "wrap" or "signed"
+ * overflow.
+ * @param {string[][]} barsBeats Musical position in "bar|beat|tick" format (e.g.
+ *     "5|3|480"), or just "bar|beat" or "bar". There are 960 ticks per quarter note.
+ * @param {any[][]} startTc Timecode of the start of bar 1 (e.g. "01:00:00:00").
+ * @param {number[][]} bpm Tempo in quarter notes per minute (e.g. 120).
+ * @param {string[][]} meter Time signature (e.g. "4/4" or "6/8").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight), "signed" (e.g. "-00:00:02:00"), "clamp", or "error".
+ *     If omitted, negative values are an error.
+ * @return {string[][]} Timecode of nearest frame <= musical position.
+ * @customFunction
+ */
+function BARS_BEATS_TO_TC_LEFT(barsBeats, startTc, bpm, meter, frameRate, dropType, overflow) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(BARS_BEATS_TO_TC_LEFT, arguments);
+  }
+
+  return barsBeatsToTc_(barsBeats, startTc, bpm, meter, frameRate, dropType, overflow, 'left');
+}
+
+/**
+ * Returns timecode string of the closest frame after or exactly at the given
+ * musical position (in "bar|beat|tick" format), for a session at a constant tempo
+ * where bar 1 starts at startTc.
+ *
+ * Note that positions before 00:00:00:00 are only supported with "wrap" or "signed"
+ * overflow.
+ * @param {string[][]} barsBeats Musical position in "bar|beat|tick" format (e.g.
+ *     "5|3|480"), or just "bar|beat" or "bar". There are 960 ticks per quarter note.
+ * @param {any[][]} startTc Timecode of the start of bar 1 (e.g. "01:00:00:00").
+ * @param {number[][]} bpm Tempo in quarter notes per minute (e.g. 120).
+ * @param {string[][]} meter Time signature (e.g. "4/4" or "6/8").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight), "signed" (e.g. "-00:00:02:00"), "clamp", or "error".
+ *     If omitted, negative values are an error.
+ * @return {string[][]} Timecode of nearest frame >= musical position.
+ * @customFunction
+ */
+function BARS_BEATS_TO_TC_RIGHT(barsBeats, startTc, bpm, meter, frameRate, dropType, overflow) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(BARS_BEATS_TO_TC_RIGHT, arguments);
+  }
+
+  return barsBeatsToTc_(barsBeats, startTc, bpm, meter, frameRate, dropType, overflow, 'right');
+}
+
+/**
+ * @param {string} barsBeats
+ * @param {string|number} startTc
+ * @param {number} bpm
+ * @param {string} meter
+ * @param {string|number} frameRate
+ * @param {string} dropType
+ * @param {string} overflow
+ * @param {string} snap One of SNAP_MODES_.
+ * @return {string}
+ * @private
+ */
+function barsBeatsToTc_(barsBeats, startTc, bpm, meter, frameRate, dropType, overflow, snap) {
+  const tcStd = parseTcStd_(frameRate, dropType);
+  bpm = parseBpm_(bpm);
+  meter = parseMeter_(meter);
+  const startFrameIdx = validTcToFrameIdx_(startTc, tcStd, allowsNegativeTc_(overflow));
+
+  const ticks = barsBeatsStrToTicks_(barsBeats, meter);
+  const fractionalFrameIdx = startFrameIdx + ticksToFrameIdxOffset_(ticks, bpm, tcStd);
+  return frameIdxToTcWithOverflow_(
+      snapFractionalFrameIdx_(fractionalFrameIdx, tcStd, snap), tcStd, overflow);
+}
+
+/**
+ * Accepted values for the optional ramp column of a tempo map (lowercase).
+ * @private
+ */
+const TEMPO_MAP_RAMP_VALUES_ = ['ramp', 'true', 'yes', 'y', 'x'];
+
+/** @private */
+const DEFAULT_METER_ = '4/4';
+
+/**
+ * Allowed floating point error when snapping ramped tempo positions to frames
+ * (in units of 1 / TEMPO_MAP_SNAP_PRECISION_ frames or ticks).
+ * @private
+ */
+const TEMPO_MAP_SNAP_PRECISION_ = 1e6;
+
+/**
+ * One tempo segment of a tempo map, from one row to the next. Positions are
+ * measured in ticks and frames after the start of bar 1.
+ * @typedef {{
+ *   startTicks: number,
+ *   startFrames: number,
+ *   bpm: number,
+ *   endBpm: number,
+ *   lenTicks: number,
+ *   isRamp: boolean,
+ * }} TempoSegment
+ */
+
+/**
+ * Meter region of a tempo map, starting at the beginning of a bar.
+ * @typedef {{
+ *   startTicks: number,
+ *   startBar: number,
+ *   meter: Meter,
+ * }} MeterRegion
+ */
+
+/**
+ * @typedef {{
+ *   tcStd: TimecodeStandard,
+ *   segments: !Array<TempoSegment>,
+ *   meterRegions: !Array<MeterRegion>,
+ * }} TempoMap
+ */
+
+/**
+ * @param {*} ramp Value of the optional ramp column.
+ * @return {boolean} Whether the tempo ramps to the next row's tempo.
+ * @private
+ */
+function parseTempoMapRamp_(ramp) {
+  if (isOmitted_(ramp) || (ramp === false) || (ramp === 0)) {
+    return false;
+  }
+  if ((ramp === true) || (ramp === 1)) {
+    return true;
+  }
+  if ((typeof ramp === 'string') && ['false', 'no', 'n'].includes(ramp.trim().toLowerCase())) {
+    return false;
+  }
+  if ((typeof ramp === 'string') && TEMPO_MAP_RAMP_VALUES_.includes(ramp.trim().toLowerCase())) {
+    return true;
+  }
+  throw inputValueErr_('ramp must be empty, TRUE, or "ramp" (without quotes)');
+}
+
+/**
+ * @param {*} position Value of the position column.
+ * @return {boolean} Whether position is in bars (rather than timecode).
+ * @private
+ */
+function isBarsBeatsPosition_(position) {
+  return Number.isInteger(position) ||
+      ((typeof position === 'string') && BARS_BEATS_STR_FMT_.test(position.trim()));
+}
+
+/**
+ * @param {!Array<MeterRegion>} meterRegions
+ * @param {function(MeterRegion): number} regionStart Start of each region (in ticks or bars).
+ * @param {number} value Position (in the same units).
+ * @return {MeterRegion} Region containing position (or the first region if earlier).
+ * @private
+ */
+function findMeterRegion_(meterRegions, regionStart, value) {
+  let region = meterRegions[0];
+  for (const candidate of meterRegions) {
+    if (regionStart(candidate) <= value) {
+      region = candidate;
+    }
+  }
+  return region;
+}
+
+/**
+ * @param {string|number} barsBeats Musical position (e.g. "5|3|480" or bar number 5).
+ * @param {!Array<MeterRegion>} meterRegions
+ * @param {Meter=} newMeter Meter that starts at this position (if changed here).
+ * @return {number} Integer ticks offset from the start of bar 1.
+ * @private
+ */
+function barsBeatsToTempoMapTicks_(barsBeats, meterRegions, newMeter) {
+  const parsed = parseBarsBeats_(barsBeats);
+  const region = findMeterRegion_(meterRegions, (region) => region.startBar, parsed.bar);
+  const barStartTicks =
+      region.startTicks + ((parsed.bar - region.startBar) * region.meter.ticksPerBar);
+
+  if (newMeter && ((parsed.beat !== 1) || (parsed.tick !== 0))) {
+    throw inputValueErr_('meter changes must be at the start of a bar');
+  }
+  return barsBeatsToTicksInMeter_(parsed, newMeter || region.meter, barStartTicks);
+}
+
+/**
+ * @param {TempoMap} tempoMap
+ * @return {number} Frames per tick at 1 bpm.
+ * @private
+ */
+function framesPerTickAt1Bpm_(tempoMap) {
+  return ticksToFrameIdxOffset_(1, 1, tempoMap.tcStd);
+}
+
+/**
+ * @param {TempoSegment} segment
+ * @param {number} ticks Ticks after the start of bar 1.
+ * @param {TempoMap} tempoMap
+ * @return {number} Fractional frames after the start of bar 1.
+ * @private
+ */
+function tempoSegmentTicksToFrames_(segment, ticks, tempoMap) {
+  const deltaTicks = ticks - segment.startTicks;
+  const bpmChange = segment.endBpm - segment.bpm;
+  if ((bpmChange === 0) || (deltaTicks < 0)) {
+    return segment.startFrames + ticksToFrameIdxOffset_(deltaTicks, segment.bpm, tempoMap.tcStd);
+  }
+
+  // Tempo changes linearly with ticks, so time is the integral of 1 / tempo.
+  const k = framesPerTickAt1Bpm_(tempoMap) * segment.lenTicks / bpmChange;
+  return segment.startFrames +
+      k * Math.log(1 + (bpmChange * deltaTicks) / (segment.lenTicks * segment.bpm));
+}
+
+/**
+ * @param {TempoSegment} segment
+ * @param {number} frames Fractional frames after the start of bar 1.
+ * @param {TempoMap} tempoMap
+ * @return {number} Fractional ticks after the start of bar 1.
+ * @private
+ */
+function tempoSegmentFramesToTicks_(segment, frames, tempoMap) {
+  const deltaFrames = frames - segment.startFrames;
+  const bpmChange = segment.endBpm - segment.bpm;
+  if ((bpmChange === 0) || (deltaFrames < 0)) {
+    return segment.startTicks + frameIdxOffsetToTicks_(deltaFrames, segment.bpm, tempoMap.tcStd);
+  }
+
+  // Inverse of tempoSegmentTicksToFrames_().
+  const k = framesPerTickAt1Bpm_(tempoMap) * segment.lenTicks / bpmChange;
+  return segment.startTicks +
+      (segment.lenTicks * segment.bpm / bpmChange) * (Math.exp(deltaFrames / k) - 1);
+}
+
+/**
+ * @param {TempoSegment} segment Segment with a known start, bpm, and endBpm.
+ * @param {number} deltaFrames Length of the segment in frames.
+ * @param {TempoMap} tempoMap
+ * @return {number} Length of the segment in ticks.
+ * @private
+ */
+function tempoSegmentLenTicks_(segment, deltaFrames, tempoMap) {
+  const bpmChange = segment.endBpm - segment.bpm;
+  if (bpmChange === 0) {
+    return frameIdxOffsetToTicks_(deltaFrames, segment.bpm, tempoMap.tcStd);
+  }
+  return deltaFrames * bpmChange /
+      (framesPerTickAt1Bpm_(tempoMap) * Math.log(segment.endBpm / segment.bpm));
+}
+
+/**
+ * Parses a tempo map range, with one row per tempo change: position (timecode
+ * text, or bar number or "bar|beat|tick"), BPM, meter (optional, to change the
+ * meter at the start of a bar), and ramp (optional, to ramp linearly to the next
+ * row's tempo). The first row must be at the start of bar 1.
+ * @param {!Array<!Array<*>>} rows
+ * @param {number} startFrameIdx Frame index of the start of bar 1.
+ * @param {TimecodeStandard} tcStd
+ * @param {boolean} allowNegative Whether negative timecode positions are valid.
+ * @return {TempoMap}
+ * @private
+ */
+function parseTempoMap_(rows, startFrameIdx, tcStd, allowNegative) {
+  if (!Array.isArray(rows)) {
+    throw inputValueErr_('tempoMap must be a range with columns: position, BPM, meter, ramp');
+  }
+
+  /** @type {TempoMap} */
+  const tempoMap = {tcStd: tcStd, segments: [], meterRegions: []};
+  const segments = tempoMap.segments;
+  const meterRegions = tempoMap.meterRegions;
+
+  rows.forEach((row, rowIdx) => {
+    const [position, bpm, meter, ramp] = row;
+    if (isOmitted_(position) && isOmitted_(bpm)) {
+      return;  // Skip blank rows.
+    }
+    const isHeader = (rowIdx === 0) && (typeof position === 'string') &&
+        !isBarsBeatsPosition_(position) && !TC_STR_FMT_.test(position.trim());
+    if (isHeader) {
+      return;  // Skip a header row (e.g. "Position", "BPM", "Meter", "Ramp").
+    }
+
+    try {
+      /** @type {TempoSegment} */
+      const segment = {bpm: parseBpm_(bpm), lenTicks: 0};
+      segment.endBpm = segment.bpm;
+      const newMeter = isOmitted_(meter) ? undefined : parseMeter_(meter);
+      const isRamp = parseTempoMapRamp_(ramp);
+
+      const prev = segments[segments.length - 1];
+      if (!prev) {
+        meterRegions.push({
+          startTicks: 0,
+          startBar: 1,
+          meter: newMeter || parseMeter_(DEFAULT_METER_),
+        });
+        segment.startTicks = 0;
+        segment.startFrames = 0;
+
+        const isStart = isBarsBeatsPosition_(position) ?
+            (barsBeatsToTempoMapTicks_(position, meterRegions) === 0) :
+            (validTcToFrameIdx_(position, tcStd, allowNegative) === startFrameIdx);
+        if (!isStart) {
+          throw inputValueErr_('the first row must be at the start of bar 1 (startTc)');
+        }
+      } else {
+        // Finish the previous segment, which ramps to this row's tempo.
+        if (prev.isRamp) {
+          prev.endBpm = segment.bpm;
+        }
+
+        if (isBarsBeatsPosition_(position)) {
+          segment.startTicks = barsBeatsToTempoMapTicks_(position, meterRegions, newMeter);
+          prev.lenTicks = segment.startTicks - prev.startTicks;
+          segment.startFrames = tempoSegmentTicksToFrames_(prev, segment.startTicks, tempoMap);
+        } else {
+          segment.startFrames =
+              validTcToFrameIdx_(position, tcStd, allowNegative) - startFrameIdx;
+          prev.lenTicks =
+              tempoSegmentLenTicks_(prev, segment.startFrames - prev.startFrames, tempoMap);
+          segment.startTicks = prev.startTicks + prev.lenTicks;
+        }
+
+        if (!(segment.startTicks > prev.startTicks) || !(segment.startFrames > prev.startFrames)) {
+          throw inputValueErr_('position must be after the previous row');
+        }
+
+        if (newMeter) {
+          const region = meterRegions[meterRegions.length - 1];
+          const numBars = (segment.startTicks - region.startTicks) / region.meter.ticksPerBar;
+          if (Math.abs(numBars - Math.round(numBars)) > (1 / TEMPO_MAP_SNAP_PRECISION_)) {
+            throw inputValueErr_('meter changes must be at the start of a bar');
+          }
+          meterRegions.push({
+            startTicks: segment.startTicks,
+            startBar: region.startBar + Math.round(numBars),
+            meter: newMeter,
+          });
+        }
+      }
+
+      segment.isRamp = isRamp;
+      segments.push(segment);
+    } catch (err) {
+      throw inputValueErr_(`tempoMap row ${rowIdx + 1}: ${err.message}`);
+    }
+  });
+
+  if (segments.length === 0) {
+    throw inputValueErr_('tempoMap must have at least one row: position, BPM, meter, ramp');
+  }
+  if (segments[segments.length - 1].isRamp) {
+    throw inputValueErr_('tempoMap last row cannot ramp (there is no next tempo to ramp to)');
+  }
+  return tempoMap;
+}
+
+/**
+ * Returns a function that parses the tempoMap range for given timecode standard
+ * and start settings, caching results so that each map is only parsed once per
+ * range of results.
+ * @param {!Array<!Array<*>>} rows Tempo map range.
+ * @return {function(*, TimecodeStandard, boolean): TempoMap}
+ * @private
+ */
+function tempoMapParser_(rows) {
+  const cache = new Map();
+  return (startTc, tcStd, allowNegative) => {
+    const key = JSON.stringify([startTc, tcStd, allowNegative]);
+    if (!cache.has(key)) {
+      try {
+        const startFrameIdx = validTcToFrameIdx_(startTc, tcStd, allowNegative);
+        cache.set(key, {
+          startFrameIdx: startFrameIdx,
+          tempoMap: parseTempoMap_(rows, startFrameIdx, tcStd, allowNegative),
+        });
+      } catch (err) {
+        cache.set(key, {err: err});
+      }
+    }
+
+    const result = cache.get(key);
+    if (result.err) {
+      throw result.err;
+    }
+    return result;
+  };
+}
+
+/**
+ * @param {TempoMap} tempoMap
+ * @param {number} frames Fractional frames after the start of bar 1.
+ * @return {string} Musical position in "bar|beat|tick" format.
+ * @private
+ */
+function tempoMapFramesToBarsBeatsStr_(tempoMap, frames) {
+  const segment = tempoMap.segments.reduce(
+      (found, candidate) => ((candidate.startFrames <= frames) ? candidate : found));
+  const ticks = tempoSegmentFramesToTicks_(segment, frames, tempoMap);
+
+  // Avoid floating point error just below a whole tick.
+  const wholeTicks = Math.floor(ticks + (1 / TEMPO_MAP_SNAP_PRECISION_));
+  const region =
+      findMeterRegion_(tempoMap.meterRegions, (region) => region.startTicks, wholeTicks);
+  return ticksToBarsBeatsStr_(wholeTicks, region.meter, region.startTicks, region.startBar);
+}
+
+/**
+ * @param {TempoMap} tempoMap
+ * @param {string|number} barsBeats
+ * @return {number} Fractional frames after the start of bar 1.
+ * @private
+ */
+function tempoMapBarsBeatsToFrames_(tempoMap, barsBeats) {
+  const ticks = barsBeatsToTempoMapTicks_(barsBeats, tempoMap.meterRegions);
+  const segment = tempoMap.segments.reduce(
+      (found, candidate) => ((candidate.startTicks <= ticks) ? candidate : found));
+  return tempoSegmentTicksToFrames_(segment, ticks, tempoMap);
+}
+
+/**
+ * Returns the musical position (in "bar|beat|tick" format) of the input timecode,
+ * following the tempo and meter changes of a tempo map range. There are 960 ticks
+ * per quarter note (so 480 ticks per beat in 6/8).
+ *
+ * The tempoMap range has one row per tempo change, with columns: position (timecode
+ * as plain text, or a bar number or "bar|beat|tick"), BPM (quarter notes per minute),
+ * meter (optional, e.g. "6/8" to change meter at the start of a bar, and "4/4" if
+ * empty in the first row), and ramp (optional, TRUE to ramp the tempo linearly to the
+ * next row's BPM). The first row must be at the start of bar 1 (startTc).
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {any[][]} tempoMap Tempo map range (position, BPM, meter, ramp columns).
+ * @param {any[][]} startTc Timecode of the start of bar 1 (e.g. "01:00:00:00").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] Use "signed" to accept negative timecode (e.g.
+ *     "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Musical position of the timecode (rounded down to a whole tick).
+ * @customFunction
+ */
+function TEMPO_MAP_TC_TO_BARS_BEATS(timecode, tempoMap, startTc, frameRate, dropType, overflow,
+    subframes) {
+  // The tempoMap range is used whole for every result, rather than per cell.
+  const getTempoMap = tempoMapParser_(tempoMap);
+  const tcToBarsBeats = (timecode, startTc, frameRate, dropType, overflow, subframes) => {
+    const tcStd = parseTcStd_(frameRate, dropType, subframes);
+    const allowNegative = allowsNegativeTc_(overflow);
+    const parsed = getTempoMap(startTc, tcStd, allowNegative);
+
+    const frameIdx = validTcToFrameIdx_(timecode, tcStd, allowNegative);
+    return tempoMapFramesToBarsBeatsStr_(parsed.tempoMap, frameIdx - parsed.startFrameIdx);
+  };
+
+  const args = [timecode, startTc, frameRate, dropType, overflow, subframes];
+  return isRangeCall_(args) ? mapRanges_(tcToBarsBeats, args) : tcToBarsBeats(...args);
+}
+
+/**
+ * Returns timecode string of the closest frame before or exactly at the given
+ * musical position (in "bar|beat|tick" format), following the tempo and meter
+ * changes of a tempo map range (see TEMPO_MAP_TC_TO_BARS_BEATS).
+ *
+ * Note that positions before 00:00:00:00 are only supported with "wrap" or "signed"
+ * overflow.
+ * @param {string[][]} barsBeats Musical position in "bar|beat|tick" format (e.g.
+ *     "5|3|480"), or just "bar|beat" or "bar". There are 960 ticks per quarter note.
+ * @param {any[][]} tempoMap Tempo map range (position, BPM, meter, ramp columns).
+ * @param {any[][]} startTc Timecode of the start of bar 1 (e.g. "01:00:00:00").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight), "signed" (e.g. "-00:00:02:00"), "clamp", or "error".
+ *     If omitted, negative values are an error.
+ * @return {string[][]} Timecode of nearest frame <= musical position.
+ * @customFunction
+ */
+function TEMPO_MAP_BARS_BEATS_TO_TC_LEFT(barsBeats, tempoMap, startTc, frameRate, dropType,
+    overflow) {
+  return tempoMapBarsBeatsToTc_(barsBeats, tempoMap, startTc, frameRate, dropType, overflow,
+      'left');
+}
+
+/**
+ * Returns timecode string of the closest frame after or exactly at the given
+ * musical position (in "bar|beat|tick" format), following the tempo and meter
+ * changes of a tempo map range (see TEMPO_MAP_TC_TO_BARS_BEATS).
+ *
+ * Note that positions before 00:00:00:00 are only supported with "wrap" or "signed"
+ * overflow.
+ * @param {string[][]} barsBeats Musical position in "bar|beat|tick" format (e.g.
+ *     "5|3|480"), or just "bar|beat" or "bar". There are 960 ticks per quarter note.
+ * @param {any[][]} tempoMap Tempo map range (position, BPM, meter, ramp columns).
+ * @param {any[][]} startTc Timecode of the start of bar 1 (e.g. "01:00:00:00").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {string[][]} [overflow] How to handle timecode outside 00:00:00:00 to 23:59:59:FF:
+ *     "wrap" (roll over midnight), "signed" (e.g. "-00:00:02:00"), "clamp", or "error".
+ *     If omitted, negative values are an error.
+ * @return {string[][]} Timecode of nearest frame >= musical position.
+ * @customFunction
+ */
+function TEMPO_MAP_BARS_BEATS_TO_TC_RIGHT(barsBeats, tempoMap, startTc, frameRate, dropType,
+    overflow) {
+  return tempoMapBarsBeatsToTc_(barsBeats, tempoMap, startTc, frameRate, dropType, overflow,
+      'right');
+}
+
+/**
+ * @param {string|!Array<!Array<string>>} barsBeats
+ * @param {!Array<!Array<*>>} tempoMap
+ * @param {*} startTc
+ * @param {*} frameRate
+ * @param {*} dropType
+ * @param {*} overflow
+ * @param {string} snap One of SNAP_MODES_.
+ * @return {string|!Array<!Array<string>>}
+ * @private
+ */
+function tempoMapBarsBeatsToTc_(barsBeats, tempoMap, startTc, frameRate, dropType, overflow,
+    snap) {
+  // The tempoMap range is used whole for every result, rather than per cell.
+  const getTempoMap = tempoMapParser_(tempoMap);
+  const barsBeatsToTc = (barsBeats, startTc, frameRate, dropType, overflow) => {
+    const tcStd = parseTcStd_(frameRate, dropType);
+    const parsed = getTempoMap(startTc, tcStd, allowsNegativeTc_(overflow));
+
+    const frames = tempoMapBarsBeatsToFrames_(parsed.tempoMap, barsBeats);
+
+    // Ramped tempos can't be computed exactly, so allow tiny floating point error.
+    const roundedFrames =
+        Math.round(frames * TEMPO_MAP_SNAP_PRECISION_) / TEMPO_MAP_SNAP_PRECISION_;
+    const frameIdx = snapFractionalFrameIdx_(parsed.startFrameIdx + roundedFrames, tcStd, snap);
+    return frameIdxToTcWithOverflow_(frameIdx, tcStd, overflow);
+  };
+
+  const args = [barsBeats, startTc, frameRate, dropType, overflow];
+  return isRangeCall_(args) ? mapRanges_(barsBeatsToTc, args) : barsBeatsToTc(...args);
+}
+
+/**
+ * Candidate tempos are rounded to this many decimal places (as typed into a DAW).
+ * @private
+ */
+const HIT_POINT_BPM_DECIMALS_ = 3;
+
+/** @private */
+const DEFAULT_HIT_POINT_MAX_RESULTS_ = 10;
+
+/**
+ * A candidate tempo for HIT_POINT_TEMPOS, with the beat and offset of each hit.
+ * @typedef {{
+ *   bpm: number,
+ *   numHits: number,
+ *   totalErrFrames: number,
+ *   beats: !Array<number>,
+ *   errFrames: !Array<number>,
+ * }} HitPointTempo
+ */
+
+/**
+ * @param {number} value
+ * @param {number} decimals
+ * @return {number}
+ * @private
+ */
+function roundToDecimals_(value, decimals) {
+  const scale = 10 ** decimals;
+  return Math.round(value * scale) / scale;
+}
+
+/**
+ * @param {number} bpm
+ * @param {!Array<number>} hitOffsets Frames (possibly fractional) after the start.
+ * @param {number} subdivision Beat subdivisions that hits may land on.
+ * @param {number} toleranceFrames
+ * @param {TimecodeStandard} tcStd
+ * @return {HitPointTempo}
+ * @private
+ */
+function evalHitPointTempo_(bpm, hitOffsets, subdivision, toleranceFrames, tcStd) {
+  const framesPerSubdivision =
+      ticksToFrameIdxOffset_(TICKS_PER_QUARTER_ / subdivision, bpm, tcStd);
+
+  const result = {bpm: bpm, numHits: 0, totalErrFrames: 0, beats: [], errFrames: []};
+  for (const hitOffset of hitOffsets) {
+    const numSubdivisions = Math.round(hitOffset / framesPerSubdivision);
+
+    // Positive if the hit is late (after the beat), or negative if early.
+    const errFrames = hitOffset - (numSubdivisions * framesPerSubdivision);
+    if (Math.abs(errFrames) <= toleranceFrames) {
+      ++result.numHits;
+    }
+    result.totalErrFrames += Math.abs(errFrames);
+
+    // Beat 1 is at the start.
+    result.beats.push(1 + (numSubdivisions / subdivision));
+    result.errFrames.push(errFrames);
+  }
+  return result;
+}
+
+/**
+ * Finds tempos where a list of hit points (e.g. picture cuts) land on or near a
+ * beat, for music starting on beat 1 at startTc. Returns a table (which spills in
+ * Excel) of the best candidate tempos, ranked by the number of hits within
+ * toleranceFrames of a beat and then by total error.
+ *
+ * Each row shows the BPM, the number of hits within tolerance, the total error in
+ * frames, and then for each hit: its nearest beat number (counting from beat 1 at
+ * startTc, with fractions for subdivisions) and how many frames late (positive) or
+ * early (negative) the hit is from that beat.
+ * @param {any} startTc Timecode of beat 1 (e.g. "01:00:00:00").
+ * @param {any[][]} hitTcs Range of hit point timecode values after startTc (empty
+ *     cells are skipped).
+ * @param {number} minBpm Slowest tempo to search, in quarter notes per minute.
+ * @param {number} maxBpm Fastest tempo to search, in quarter notes per minute.
+ * @param {number} toleranceFrames How many frames early or late a hit may be (e.g. 1).
+ * @param {any} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {number} [subdivision] Number of subdivisions per beat that hits may land
+ *     on (e.g. 2 for eighth notes), 1 by default.
+ * @param {number} [maxResults] Maximum number of tempos to list, 10 by default.
+ * @return {any[][]} Table of candidate tempos, with a header row.
+ * @customFunction
+ */
+function HIT_POINT_TEMPOS(startTc, hitTcs, minBpm, maxBpm, toleranceFrames, frameRate, dropType,
+    subdivision, maxResults) {
+  const tcStd = parseTcStd_(frameRate, dropType);
+  const startFrameIdx = validTcToFrameIdx_(startTc, tcStd);
+
+  minBpm = parseBpm_(minBpm);
+  maxBpm = parseBpm_(maxBpm);
+  if (minBpm > maxBpm) {
+    throw inputValueErr_('minBpm must not be greater than maxBpm');
+  }
+  if ((typeof toleranceFrames !== 'number') || !(toleranceFrames >= 0)) {
+    throw inputValueErr_('toleranceFrames must be a non-negative number of frames');
+  }
+  if (isOmitted_(subdivision)) {
+    subdivision = 1;
+  } else if (!Number.isInteger(subdivision) || (subdivision < 1) ||
+      !Number.isInteger(TICKS_PER_QUARTER_ / subdivision)) {
+    throw inputValueErr_('subdivision must be a whole number of subdivisions per beat (e.g. 2)');
+  }
+  if (isOmitted_(maxResults)) {
+    maxResults = DEFAULT_HIT_POINT_MAX_RESULTS_;
+  } else if (!Number.isInteger(maxResults) || (maxResults < 1)) {
+    throw inputValueErr_('maxResults must be a positive integer');
+  }
+
+  const hitOffsets = [];
+  for (const hitTc of rangeValues_(hitTcs)) {
+    if (isOmitted_(hitTc)) {
+      continue;
+    }
+    const hitOffset = validTcToFrameIdx_(hitTc, tcStd) - startFrameIdx;
+    if (hitOffset <= 0) {
+      throw inputValueErr_(`hit timecode must be after startTc: "${hitTc}"`);
+    }
+    hitOffsets.push(hitOffset);
+  }
+  if (hitOffsets.length === 0) {
+    throw inputValueErr_('hitTcs must include at least one hit timecode');
+  }
+
+  // Candidate tempos put some hit exactly on a subdivision of a beat.
+  const candidateBpms = new Set();
+  for (const hitOffset of hitOffsets) {
+    const subdivisionsPerMinBpm = frameIdxOffsetToTicks_(hitOffset, minBpm, tcStd) *
+        subdivision / TICKS_PER_QUARTER_;
+    const subdivisionsPerMaxBpm = frameIdxOffsetToTicks_(hitOffset, maxBpm, tcStd) *
+        subdivision / TICKS_PER_QUARTER_;
+    for (let n = Math.ceil(subdivisionsPerMinBpm); n <= subdivisionsPerMaxBpm; ++n) {
+      const bpm = roundToDecimals_(minBpm * n / subdivisionsPerMinBpm, HIT_POINT_BPM_DECIMALS_);
+      if ((minBpm <= bpm) && (bpm <= maxBpm)) {
+        candidateBpms.add(bpm);
+      }
+    }
+  }
+
+  const tempos = Array.from(candidateBpms, (bpm) =>
+      evalHitPointTempo_(bpm, hitOffsets, subdivision, toleranceFrames, tcStd));
+  tempos.sort((a, b) => (b.numHits - a.numHits) || (a.totalErrFrames - b.totalErrFrames) ||
+      (a.bpm - b.bpm));
+
+  const header = ['BPM', 'Hits in tolerance', 'Total error (frames)'];
+  hitOffsets.forEach((hitOffset, idx) => {
+    header.push(`Hit ${idx + 1} beat`, `Hit ${idx + 1} late (+) / early (-) frames`);
+  });
+
+  const table = [header];
+  for (const tempo of tempos.slice(0, maxResults)) {
+    const row = [tempo.bpm, tempo.numHits, roundToDecimals_(tempo.totalErrFrames, 2)];
+    tempo.beats.forEach((beat, idx) => {
+      row.push(beat, roundToDecimals_(tempo.errFrames[idx], 2));
+    });
+    table.push(row);
+  }
+  return table;
+}
+
+/**
+ * Default hour of reel 1, so reel 1 starts at 01:00:00:00, reel 2 at 02:00:00:00, etc.
+ * @private
+ */
+const DEFAULT_REEL_HOUR_BASE_ = 1;
+
+/** @private */
+const MAX_REEL_HOUR_ = 23;
+
+/** @private */
+const REEL_STR_FMT_ = /^(?:r|reel)?\s*([0-9]+)$/i;
+
+/**
+ * Cue ID formats, as named by example (reel 1, music cue 1).
+ * @private
+ */
+const CUE_ID_FORMATS_ = ['1M01', '1M1', 'R1M01', 'R1M1'];
+
+/** @private */
+const CUE_ID_STR_FMT_ = /^(?:r|reel)?\s*([0-9]+)\s*m\s*([0-9]+)$/i;
+
+/**
+ * @param {number|string} reel Reel number (e.g. 2, "2", "R2", or "Reel 2").
+ * @return {number} Positive integer reel number.
+ * @private
+ */
+function parseReel_(reel) {
+  if (typeof reel === 'string') {
+    const matches = reel.trim().match(REEL_STR_FMT_);
+    reel = matches ? Number(matches[1]) : NaN;
+  }
+
+  if (!Number.isInteger(reel) || (reel < 1)) {
+    throw inputValueErr_('reel must be a positive integer (e.g. 2 or "R2")');
+  }
+  return reel;
+}
+
+/**
+ * @param {number|undefined} reelHourBase
+ * @return {number} Hour of reel 1 (DEFAULT_REEL_HOUR_BASE_ if omitted).
+ * @private
+ */
+function parseReelHourBase_(reelHourBase) {
+  if (isOmitted_(reelHourBase)) {
+    return DEFAULT_REEL_HOUR_BASE_;
+  }
+
+  if (!Number.isInteger(reelHourBase) || (reelHourBase < 0) || (MAX_REEL_HOUR_ < reelHourBase)) {
+    throw inputValueErr_(`reelHourBase must be an integer hour in range 0-${MAX_REEL_HOUR_}`);
+  }
+  return reelHourBase;
+}
+
+/**
+ * @param {number|undefined} leaderSecs
+ * @param {TimecodeStandard} tcStd
+ * @return {number} Number of frames in the leader at the start of each reel (0 if omitted).
+ * @private
+ */
+function parseLeaderFrames_(leaderSecs, tcStd) {
+  if (isOmitted_(leaderSecs)) {
+    return 0;
+  }
+
+  const secsPerHr = SECS_PER_MIN_ * MINS_PER_HR_;
+  if (!Number.isInteger(leaderSecs) || (leaderSecs < 0) || (secsPerHr <= leaderSecs)) {
+    throw inputValueErr_('leaderSecs must be a whole number of timecode seconds (e.g. 8)');
+  }
+
+  // Timecode seconds (from the start of an hour, so dropped frames line up).
+  return tcToFrameIdx_({
+    hh: 0,
+    mm: Math.floor(leaderSecs / SECS_PER_MIN_),
+    ss: leaderSecs % SECS_PER_MIN_,
+    ff: 0,
+  }, tcStd);
+}
+
+/**
+ * @param {number} reel
+ * @param {number} reelHourBase
+ * @param {TimecodeStandard} tcStd
+ * @return {number} Frame index of the start of the reel (HH:00:00:00).
+ * @private
+ */
+function reelStartFrameIdx_(reel, reelHourBase, tcStd) {
+  const hh = reelHourBase + reel - 1;
+  if (MAX_REEL_HOUR_ < hh) {
+    throw inputValueErr_(`reel ${reel} would start after ${MAX_REEL_HOUR_}:00:00:00`);
+  }
+  return tcToFrameIdx_({hh: hh, mm: 0, ss: 0, ff: 0}, tcStd);
+}
+
+/**
+ * @param {string|number} timecode
+ * @param {TimecodeStandard} tcStd
+ * @param {number} reelHourBase
+ * @return {number} Reel number of timecode (from its HH value).
+ * @private
+ */
+function tcToReel_(timecode, tcStd, reelHourBase) {
+  const tc = parseTc_(timecode);
+  validateTc_(timecode, tc, tcStd);
+
+  if (tc.hh < reelHourBase) {
+    const reelHh = String(reelHourBase).padStart(2, '0');
+    throw inputValueErr_(
+        `timecode must not be before reel 1 (which starts at ${reelHh}:00:00:00): "${timecode}"`);
+  }
+  return tc.hh - reelHourBase + 1;
+}
+
+/**
+ * Returns the reel number of input timecode, where reel 1 starts at hour reelHourBase
+ * (01:00:00:00 by default), reel 2 an hour later, and so on.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {number[][]} [reelHourBase] Timecode hour of reel 1, 1 by default.
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {number[][]} Reel number.
+ * @customFunction
+ */
+function TC_TO_REEL(timecode, frameRate, dropType, reelHourBase, subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_TO_REEL, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  return tcToReel_(timecode, tcStd, parseReelHourBase_(reelHourBase));
+}
+
+/**
+ * Converts input timecode to reel-relative timecode, where 00:00:00:00 is the start of
+ * its reel (the reel hour, e.g. 02:00:00:00 for reel 2) plus any leader.
+ * @param {any[][]} timecode Timecode value in "HH:MM:SS:FF" format (without
+ *     quotes), or an integer number (e.g. 4332211 will be interpreted as 04:33:22:11).
+ *     May use semicolons in drop frame standards.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {number[][]} [reelHourBase] Timecode hour of reel 1, 1 by default.
+ * @param {number[][]} [leaderSecs] Whole timecode seconds of leader at the start of each
+ *     reel (e.g. 8), 0 by default.
+ * @param {string[][]} [overflow] How to handle timecode within the leader: "error"
+ *     (default), "clamp" (to 00:00:00:00), or "signed" (e.g. "-00:00:02:00").
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Reel-relative timecode.
+ * @customFunction
+ */
+function TC_TO_REEL_TC(timecode, frameRate, dropType, reelHourBase, leaderSecs, overflow,
+    subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(TC_TO_REEL_TC, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  const hourBase = parseReelHourBase_(reelHourBase);
+  const reel = tcToReel_(timecode, tcStd, hourBase);
+
+  const reelFrameIdx = validTcToFrameIdx_(timecode, tcStd) -
+      reelStartFrameIdx_(reel, hourBase, tcStd) - parseLeaderFrames_(leaderSecs, tcStd);
+  if ((reelFrameIdx < 0) && (parseOverflowMode_(overflow) === 'error')) {
+    throw inputValueErr_(`timecode is within the reel ${reel} leader: "${timecode}"`);
+  }
+  return frameIdxToTcWithOverflow_(reelFrameIdx, tcStd, overflow);
+}
+
+/**
+ * Converts reel-relative timecode (where 00:00:00:00 is the start of the reel plus any
+ * leader) to absolute timecode.
+ * @param {any[][]} reelTc Reel-relative timecode value in "HH:MM:SS:FF" format
+ *     (without quotes), or an integer number (e.g. 123456 will be interpreted as
+ *     00:12:34:56). May use semicolons in drop frame standards.
+ * @param {any[][]} reel Reel number (e.g. 2 or "R2").
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {number[][]} [reelHourBase] Timecode hour of reel 1, 1 by default.
+ * @param {number[][]} [leaderSecs] Whole timecode seconds of leader at the start of each
+ *     reel (e.g. 8), 0 by default.
+ * @param {string[][]} [overflow] "signed" to allow negative reelTc (within the leader),
+ *     or "error" (default).
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Absolute timecode.
+ * @customFunction
+ */
+function REEL_TC_TO_TC(reelTc, reel, frameRate, dropType, reelHourBase, leaderSecs, overflow,
+    subframes) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(REEL_TC_TO_TC, arguments);
+  }
+
+  const tcStd = parseTcStd_(frameRate, dropType, subframes);
+  const hourBase = parseReelHourBase_(reelHourBase);
+  const reelNum = parseReel_(reel);
+
+  const reelStart = reelStartFrameIdx_(reelNum, hourBase, tcStd);
+  const frameIdx = reelStart + parseLeaderFrames_(leaderSecs, tcStd) +
+      validTcToFrameIdx_(reelTc, tcStd, allowsNegativeTc_(overflow));
+  if (frameIdx < reelStart) {
+    throw inputValueErr_(`reelTc must not be before the start of reel ${reelNum}: "${reelTc}"`);
+  }
+  if ((reelStart + tcToFrameIdx_({hh: 1, mm: 0, ss: 0, ff: 0}, tcStd)) <= frameIdx) {
+    throw inputValueErr_(`reelTc must be before the start of reel ${reelNum + 1}: "${reelTc}"`);
+  }
+  return frameIdxToTc_(frameIdx, tcStd);
+}
+
+/**
+ * Returns a music cue ID for a reel and cue number (e.g. "1M03" for reel 1, cue 3).
+ * @param {any[][]} reel Reel number (e.g. 2 or "R2").
+ * @param {number[][]} cueNumber Cue number within the reel (e.g. 3).
+ * @param {string[][]} [format] Cue ID format, by example: "1M01" (default), "1M1",
+ *     "R1M01", or "R1M1".
+ * @return {string[][]} Cue ID.
+ * @customFunction
+ */
+function CUE_ID(reel, cueNumber, format) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(CUE_ID, arguments);
+  }
+
+  const reelNum = parseReel_(reel);
+  if (!Number.isInteger(cueNumber) || (cueNumber < 0)) {
+    throw inputValueErr_('cueNumber must be a non-negative integer');
+  }
+
+  let fmt = CUE_ID_FORMATS_[0];
+  if (!isOmitted_(format)) {
+    fmt = (typeof format === 'string') ? format.trim().toUpperCase() : '';
+    if (CUE_ID_FORMATS_.indexOf(fmt) < 0) {
+      throw inputValueErr_('format must be "1M01", "1M1", "R1M01", or "R1M1" (without quotes)');
+    }
+  }
+
+  const prefix = fmt.startsWith('R') ? 'R' : '';
+  const cueStr = fmt.endsWith('M01') ? String(cueNumber).padStart(2, '0') : String(cueNumber);
+  return `${prefix}${reelNum}M${cueStr}`;
+}
+
+/**
+ * @param {string} cueId
+ * @return {{reel: number, cueNumber: number}}
+ * @private
+ */
+function parseCueId_(cueId) {
+  const matches = (typeof cueId === 'string') ? cueId.trim().match(CUE_ID_STR_FMT_) : null;
+  if (!matches || (Number(matches[1]) < 1)) {
+    throw inputValueErr_(`cueId must be in a format like "1M03" or "R1M3": "${cueId}"`);
+  }
+  return {reel: Number(matches[1]), cueNumber: Number(matches[2])};
+}
+
+/**
+ * Returns the reel number of a music cue ID (e.g. 2 for "2M14" or "R2M14").
+ * @param {string[][]} cueId Cue ID in a format like "1M03" or "R1M3".
+ * @return {number[][]} Reel number.
+ * @customFunction
+ */
+function CUE_ID_TO_REEL(cueId) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(CUE_ID_TO_REEL, arguments);
+  }
+
+  return parseCueId_(cueId).reel;
+}
+
+/**
+ * Returns the cue number of a music cue ID (e.g. 14 for "2M14" or "R2M14").
+ * @param {string[][]} cueId Cue ID in a format like "1M03" or "R1M3".
+ * @return {number[][]} Cue number within the reel.
+ * @customFunction
+ */
+function CUE_ID_TO_NUMBER(cueId) {
+  if (isRangeCall_(arguments)) {
+    return mapRanges_(CUE_ID_TO_NUMBER, arguments);
+  }
+
+  return parseCueId_(cueId).cueNumber;
+}
+
+/**
+ * A cue parsed from one row of start and end timecode ranges.
+ * @typedef {{
+ *   row: number,
+ *   name: string,
+ *   track: string,
+ *   start: number,
+ *   end: number,
+ * }} CueSpan
+ */
+
+/**
+ * @param {*} range Range of cell values, or a single value.
+ * @return {!Array<*>} All cell values, in row order.
+ * @private
+ */
+function rangeValues_(range) {
+  return Array.isArray(range) ? range.flat() : [range];
+}
+
+/**
+ * @param {*} startTcs Range of cue start timecode values.
+ * @param {*} endTcs Range of cue end timecode values (the same size as startTcs).
+ * @param {TimecodeStandard} tcStd
+ * @param {*} tracks Optional range of track (or stem) names.
+ * @param {*} cueNames Optional range of cue names.
+ * @return {!Array<CueSpan>} Cues (skipping rows without start and end timecodes),
+ *     where start and end are frame indexes.
+ * @private
+ */
+function parseCueSpans_(startTcs, endTcs, tcStd, tracks, cueNames) {
+  const starts = rangeValues_(startTcs);
+  const ends = rangeValues_(endTcs);
+  const trackValues = isOmitted_(tracks) ? [] : rangeValues_(tracks);
+  const nameValues = isOmitted_(cueNames) ? [] : rangeValues_(cueNames);
+
+  const otherRanges = {endTcs: ends, tracks: trackValues, cueNames: nameValues};
+  for (const [name, values] of Object.entries(otherRanges)) {
+    if ((values.length > 0) && (values.length !== starts.length)) {
+      throw inputValueErr_(`${name} must have the same number of cells as startTcs`);
+    }
+  }
+
+  const cues = [];
+  starts.forEach((start, idx) => {
+    const end = ends[idx];
+    if (isOmitted_(start) && isOmitted_(end)) {
+      return;  // Skip blank rows.
+    }
+
+    try {
+      const cue = {
+        row: idx + 1,
+        name: isOmitted_(nameValues[idx]) ? `row ${idx + 1}` : String(nameValues[idx]),
+        track: isOmitted_(trackValues[idx]) ? '' : String(trackValues[idx]),
+        start: validTcToFrameIdx_(start, tcStd),
+        end: validTcToFrameIdx_(end, tcStd),
+      };
+      if (cue.end <= cue.start) {
+        throw inputValueErr_('end timecode must be after start timecode');
+      }
+      cues.push(cue);
+    } catch (err) {
+      throw inputValueErr_(`cue row ${idx + 1}: ${err.message}`);
+    }
+  });
+  return cues;
+}
+
+/**
+ * @param {!Array<CueSpan>} cues
+ * @return {!Map<string, !Array<CueSpan>>} Cues of each track, sorted by start (then end).
+ * @private
+ */
+function cueSpansByTrack_(cues) {
+  const byTrack = new Map();
+  for (const cue of cues) {
+    if (!byTrack.has(cue.track)) {
+      byTrack.set(cue.track, []);
+    }
+    byTrack.get(cue.track).push(cue);
+  }
+  for (const trackCues of byTrack.values()) {
+    trackCues.sort((a, b) => (a.start - b.start) || (a.end - b.end) || (a.row - b.row));
+  }
+  return byTrack;
+}
+
+/**
+ * Lists each pair of cues on the same track that overlap, as a table (which spills in
+ * Excel) with a header row. A cue's end timecode is its out point (the first frame
+ * after the cue), so a cue may start on the same frame that the previous cue ends.
+ * @param {any[][]} startTcs Range of cue start timecode values (blank rows are skipped).
+ * @param {any[][]} endTcs Range of cue end timecode values, the same size as startTcs.
+ * @param {any} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {any[][]} [tracks] Range of track (or stem) names, the same size as startTcs.
+ *     Only cues on the same track are compared (all cues if omitted).
+ * @param {any[][]} [cueNames] Range of cue names, the same size as startTcs (row
+ *     numbers are shown if omitted).
+ * @return {any[][]} Table of overlapping cues, with a header row.
+ * @customFunction
+ */
+function CUE_OVERLAPS(startTcs, endTcs, frameRate, dropType, tracks, cueNames) {
+  const tcStd = parseTcStd_(frameRate, dropType);
+  const cues = parseCueSpans_(startTcs, endTcs, tcStd, tracks, cueNames);
+
+  const table = [['Cue', 'Overlapping cue', 'Track', 'Overlap start', 'Overlap end',
+    'Overlap (secs)']];
+  for (const [track, trackCues] of cueSpansByTrack_(cues)) {
+    trackCues.forEach((cue, idx) => {
+      for (const other of trackCues.slice(idx + 1)) {
+        if (other.start >= cue.end) {
+          break;  // Sorted by start, so no later cue overlaps either.
+        }
+
+        const overlapEnd = Math.min(cue.end, other.end);
+        table.push([
+          cue.name,
+          other.name,
+          track,
+          frameIdxToTc_(other.start, tcStd),
+          frameIdxToTc_(overlapEnd, tcStd),
+          frameIdxToWallSecs_(overlapEnd - other.start, tcStd),
+        ]);
+      }
+    });
+  }
+  return table;
+}
+
+/**
+ * Lists the gaps between cues on each track (where no cue is playing), as a table
+ * (which spills in Excel) with a header row. Gaps before the first cue and after the
+ * last cue of each track are not included.
+ * @param {any[][]} startTcs Range of cue start timecode values (blank rows are skipped).
+ * @param {any[][]} endTcs Range of cue end timecode values, the same size as startTcs.
+ * @param {any} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {number} [minGapSecs] Only list gaps at least this long in wall seconds (all
+ *     gaps by default).
+ * @param {any[][]} [tracks] Range of track (or stem) names, the same size as startTcs.
+ *     Gaps are found separately on each track (across all cues if omitted).
+ * @param {any[][]} [cueNames] Range of cue names, the same size as startTcs (row
+ *     numbers are shown if omitted).
+ * @return {any[][]} Table of gaps between cues, with a header row.
+ * @customFunction
+ */
+function CUE_GAPS(startTcs, endTcs, frameRate, dropType, minGapSecs, tracks, cueNames) {
+  const tcStd = parseTcStd_(frameRate, dropType);
+  if (isOmitted_(minGapSecs)) {
+    minGapSecs = 0;
+  } else if ((typeof minGapSecs !== 'number') || !(minGapSecs >= 0)) {
+    throw inputValueErr_('minGapSecs must be a non-negative number of seconds');
+  }
+  const cues = parseCueSpans_(startTcs, endTcs, tcStd, tracks, cueNames);
+
+  const table = [['After cue', 'Before cue', 'Track', 'Gap start', 'Gap end', 'Gap (secs)']];
+  for (const [track, trackCues] of cueSpansByTrack_(cues)) {
+    // The cue that plays the latest so far (which the next gap comes after).
+    let lastCue = trackCues[0];
+    for (const cue of trackCues.slice(1)) {
+      if (cue.start > lastCue.end) {
+        const gapSecs = frameIdxToWallSecs_(cue.start - lastCue.end, tcStd);
+        if (gapSecs >= minGapSecs) {
+          table.push([
+            lastCue.name,
+            cue.name,
+            track,
+            frameIdxToTc_(lastCue.end, tcStd),
+            frameIdxToTc_(cue.start, tcStd),
+            gapSecs,
+          ]);
+        }
+      }
+      if (cue.end > lastCue.end) {
+        lastCue = cue;
+      }
+    }
+  }
+  return table;
+}
+
+/**
+ * Returns the total wall time in seconds during which at least one cue is playing, so
+ * overlapping cues (on any track) are only counted once.
+ * @param {any[][]} startTcs Range of cue start timecode values (blank rows are skipped).
+ * @param {any[][]} endTcs Range of cue end timecode values, the same size as startTcs.
+ * @param {any} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @return {number} Total wall time in seconds (possibly fractional).
+ * @customFunction
+ */
+function CUE_TOTAL_WALL_SECS(startTcs, endTcs, frameRate, dropType) {
+  const tcStd = parseTcStd_(frameRate, dropType);
+  const cues = parseCueSpans_(startTcs, endTcs, tcStd);
+  cues.sort((a, b) => a.start - b.start);
+
+  // Merge overlapping cues, counting the frames covered by each merged span.
+  let totalFrames = 0;
+  let spanStart = 0;
+  let spanEnd = -Infinity;
+  for (const cue of cues) {
+    if (cue.start > spanEnd) {
+      totalFrames += Math.max(0, spanEnd - spanStart);
+      spanStart = cue.start;
+    }
+    spanEnd = Math.max(spanEnd, cue.end);
+  }
+  totalFrames += Math.max(0, spanEnd - spanStart);
+
+  return frameIdxToWallSecs_(totalFrames, tcStd);
+}
+
+/**
+ * CMX3600 EDL event line: event number, reel, track, transition (with optional
+ * duration in frames), then source in/out and record in/out timecodes.
+ * @private
+ */
+const EDL_EVENT_FMT_ = new RegExp(
+    '^([0-9]+)\\s+(\\S+)\\s+(\\S+)\\s+(C|D|W[0-9]*|K[BO]?)\\s+(?:([0-9]+)\\s+)?' +
+    '(\\S+)\\s+(\\S+)\\s+(\\S+)\\s+(\\S+)$', 'i');
+
+/**
+ * EDL M2 motion effect line: reel, speed (in frames per second, negative for
+ * reverse), then the source timecode where the effect starts.
+ * @private
+ */
+const EDL_M2_FMT_ = /^M2\s+(\S+)\s+(-?[0-9]+(?:\.[0-9]+)?)\s+(\S+)$/i;
+
+/** @private */
+const EDL_FCM_FMT_ = /^FCM:\s*(.*)$/i;
+
+/** @private */
+const EDL_CLIP_NAME_FMT_ = /^\*\s*(FROM|TO) CLIP NAME:\s*(.*)$/i;
+
+/** @private */
+const EDL_TABLE_HEADER_ = [
+  'Event', 'Reel', 'Track', 'Transition', 'Transition frames', 'Source in', 'Source out',
+  'Record in', 'Record out', 'Clip name', 'Speed (fps)', 'Error',
+];
+
+/**
+ * One event line of an EDL, as a row of EDL_TO_TABLE.
+ * @typedef {{
+ *   event: (number|string),
+ *   reel: string,
+ *   track: string,
+ *   transition: string,
+ *   transitionFrames: (number|string),
+ *   srcIn: string,
+ *   srcOut: string,
+ *   recIn: string,
+ *   recOut: string,
+ *   clipName: string,
+ *   speed: (number|string),
+ *   errors: !Array<string>,
+ *   frameIdxs: ({srcIn: number, srcOut: number, recIn: number, recOut: number}|undefined),
+ * }} EdlRow
+ */
+
+/**
+ * @param {string} fcm Text after "FCM:" (e.g. "DROP FRAME" or "NON-DROP FRAME").
+ * @return {string} "drop" or "non-drop".
+ * @private
+ */
+function parseEdlFcm_(fcm) {
+  const mode = fcm.trim().toUpperCase().replace(/\s+/g, ' ');
+  if (mode === 'DROP FRAME') {
+    return 'drop';
+  }
+  if (mode === 'NON-DROP FRAME') {
+    return 'non-drop';
+  }
+  throw inputValueErr_(`FCM must be "DROP FRAME" or "NON-DROP FRAME": "${fcm.trim()}"`);
+}
+
+/**
+ * @param {!Array<string>} matches Matches of EDL_EVENT_FMT_.
+ * @param {*} frameRate
+ * @param {string|undefined} dropType The declared dropType argument (if any).
+ * @param {string|undefined} fcmDropType Drop type from the latest FCM line (if any).
+ * @return {EdlRow}
+ * @private
+ */
+function parseEdlEvent_(matches, frameRate, dropType, fcmDropType) {
+  const [, event, reel, track, transition, transitionFrames, srcIn, srcOut, recIn, recOut] =
+      matches;
+
+  /** @type {EdlRow} */
+  const row = {
+    event: Number(event),
+    reel: reel,
+    track: track.toUpperCase(),
+    transition: transition.toUpperCase(),
+    transitionFrames: (transitionFrames === undefined) ? '' : Number(transitionFrames),
+    srcIn: srcIn,
+    srcOut: srcOut,
+    recIn: recIn,
+    recOut: recOut,
+    clipName: '',
+    speed: '',
+    errors: [],
+  };
+
+  try {
+    if (!isOmitted_(dropType) && !isOmitted_(fcmDropType) &&
+        (parseDropType_(dropType) !== parseDropType_(fcmDropType))) {
+      throw inputValueErr_(`FCM ${fcmDropType} does not match dropType "${dropType}"`);
+    }
+    const tcStd = parseTcStd_(frameRate, isOmitted_(fcmDropType) ? dropType : fcmDropType);
+
+    const [srcInIdx, srcOutIdx, recInIdx, recOutIdx] = [srcIn, srcOut, recIn, recOut].map(
+        (timecode) => validTcToFrameIdx_(timecode, tcStd));
+    if (srcOutIdx < srcInIdx) {
+      row.errors.push('source out must not be before source in');
+    }
+    if (recOutIdx < recInIdx) {
+      row.errors.push('record out must not be before record in');
+    }
+    row.frameIdxs = {srcIn: srcInIdx, srcOut: srcOutIdx, recIn: recInIdx, recOut: recOutIdx};
+  } catch (err) {
+    row.errors.push(err.message);
+  }
+  return row;
+}
+
+/**
+ * @param {*} edlText EDL text, in one cell or one line per cell.
+ * @param {*} frameRate
+ * @param {string|undefined} dropType
+ * @param {string} name Argument name, for errors.
+ * @return {!Array<EdlRow>} Rows of event lines (and lines that could not be read),
+ *     each with any errors.
+ * @private
+ */
+function parseEdl_(edlText, frameRate, dropType, name) {
+  const lines = rangeValues_(edlText)
+      .filter((value) => !isOmitted_(value))
+      .flatMap((value) => String(value).split(/\r\n|\r|\n/))
+      .map((line) => line.trim());
+
+  /** @type {!Array<EdlRow>} */
+  const rows = [];
+  let eventRows = [];  // Rows of the latest event number.
+  let fcmDropType;  // From the latest FCM line.
+
+  for (const line of lines) {
+    const eventMatches = line.match(EDL_EVENT_FMT_);
+    if (eventMatches) {
+      const row = parseEdlEvent_(eventMatches, frameRate, dropType, fcmDropType);
+      if ((eventRows.length === 0) || (eventRows[0].event !== row.event)) {
+        eventRows = [];
+      }
+      eventRows.push(row);
+      rows.push(row);
+      continue;
+    }
+
+    const fcmMatches = line.match(EDL_FCM_FMT_);
+    if (fcmMatches) {
+      try {
+        fcmDropType = parseEdlFcm_(fcmMatches[1]);
+      } catch (err) {
+        fcmDropType = undefined;
+        rows.push({event: '', errors: [err.message]});
+      }
+      continue;
+    }
+
+    const clipNameMatches = line.match(EDL_CLIP_NAME_FMT_);
+    if (clipNameMatches) {
+      // The FROM clip is the first (outgoing) line of a transition, and TO is the last.
+      const isFrom = (clipNameMatches[1].toUpperCase() === 'FROM');
+      const row = isFrom ? eventRows[0] : eventRows[eventRows.length - 1];
+      if (row && (!isFrom || (row.clipName === ''))) {
+        row.clipName = clipNameMatches[2].trim();
+      }
+      continue;
+    }
+
+    const m2Matches = line.match(EDL_M2_FMT_);
+    if (m2Matches) {
+      const row = eventRows.find((r) => (r.reel === m2Matches[1])) ||
+          eventRows[eventRows.length - 1];
+      if (row) {
+        row.speed = Number(m2Matches[2]);
+      }
+      continue;
+    }
+
+    const badEventMatches = line.match(/^([0-9]+)\s/);
+    if (badEventMatches) {
+      rows.push({
+        event: Number(badEventMatches[1]),
+        errors: [`could not read event line: "${line}"`],
+      });
+    }
+    // Other lines (TITLE, blank lines, and other comments) are skipped.
+  }
+
+  if (rows.length === 0) {
+    throw inputValueErr_(`${name} must include at least one CMX3600 event line`);
+  }
+  return rows;
+}
+
+/**
+ * Imports CMX3600 EDL text as a table (which spills in Excel) with a header row and
+ * one row per event line: event number, reel, track, transition (and its duration in
+ * frames), source in/out, record in/out, clip name, and M2 motion effect speed.
+ *
+ * Timecodes are validated against the timecode standard (using drop or non-drop from
+ * any FCM lines), and any problems with an event are shown in its Error column.
+ * @param {any[][]} edlText EDL text, either in one cell or one line per cell (e.g.
+ *     pasted into a column).
+ * @param {any} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if the EDL has FCM lines, if included in frameRate, or if frameRate has no drop
+ *     frame standard.
+ * @return {any[][]} Table of EDL events, with a header row.
+ * @customFunction
+ */
+function EDL_TO_TABLE(edlText, frameRate, dropType) {
+  const rows = parseEdl_(edlText, frameRate, dropType, 'edlText');
+
+  return [EDL_TABLE_HEADER_].concat(rows.map((row) => [
+    row.event,
+    row.reel || '',
+    row.track || '',
+    row.transition || '',
+    (row.transitionFrames === undefined) ? '' : row.transitionFrames,
+    row.srcIn || '',
+    row.srcOut || '',
+    row.recIn || '',
+    row.recOut || '',
+    row.clipName || '',
+    (row.speed === undefined) ? '' : row.speed,
+    row.errors.join('; '),
+  ]));
+}
+
+/**
+ * One event of a picture change, where oldIn to oldIn + length of the old cut moved
+ * to newIn in the new cut (as frame indexes).
+ * @typedef {{
+ *   oldIn: number,
+ *   newIn: number,
+ *   length: number,
+ * }} ConformEvent
+ */
+
+/**
+ * Returns a function that parses whole ranges (e.g. a change list or EDLs) for the
+ * given settings (e.g. a timecode standard), caching results so that they are only
+ * parsed once per range of results.
+ * @param {function(...*): T} parse
+ * @return {function(...*): T}
+ * @template T
+ * @private
+ */
+function cachedRangeParser_(parse) {
+  const cache = new Map();
+  return (...settings) => {
+    const key = JSON.stringify(settings);
+    if (!cache.has(key)) {
+      try {
+        cache.set(key, {result: parse(...settings)});
+      } catch (err) {
+        cache.set(key, {err: err});
+      }
+    }
+
+    const cached = cache.get(key);
+    if (cached.err) {
+      throw cached.err;
+    }
+    return cached.result;
+  };
+}
+
+/**
+ * @param {*} length Integer number of frames, or timecode duration.
+ * @param {TimecodeStandard} tcStd
+ * @return {number}
+ * @private
+ */
+function parseConformLength_(length, tcStd) {
+  if (typeof length === 'number') {
+    if (!Number.isInteger(length) || (length < 0)) {
+      throw inputValueErr_('length must be a non-negative integer number of frames');
+    }
+    return length;
+  }
+  return validTcToFrameIdx_(length, tcStd);
+}
+
+/**
+ * @param {*} oldIns Range of old cut in timecodes.
+ * @param {*} newIns Range of new cut in timecodes.
+ * @param {*} lengths Range of lengths (in frames or timecode duration).
+ * @param {TimecodeStandard} tcStd
+ * @return {!Array<ConformEvent>}
+ * @private
+ */
+function parseConformEvents_(oldIns, newIns, lengths, tcStd) {
+  const oldInValues = rangeValues_(oldIns);
+  const newInValues = rangeValues_(newIns);
+  const lengthValues = rangeValues_(lengths);
+  if ((newInValues.length !== oldInValues.length) ||
+      (lengthValues.length !== oldInValues.length)) {
+    throw inputValueErr_('oldIns, newIns, and lengths must have the same number of cells');
+  }
+
+  const events = [];
+  oldInValues.forEach((oldIn, idx) => {
+    if (isOmitted_(oldIn) && isOmitted_(newInValues[idx])) {
+      return;  // Skip blank rows.
+    }
+
+    try {
+      events.push({
+        oldIn: validTcToFrameIdx_(oldIn, tcStd),
+        newIn: validTcToFrameIdx_(newInValues[idx], tcStd),
+        length: parseConformLength_(lengthValues[idx], tcStd),
+      });
+    } catch (err) {
+      throw inputValueErr_(`change list row ${idx + 1}: ${err.message}`);
+    }
+  });
+
+  if (events.length === 0) {
+    throw inputValueErr_('change list must have at least one event: oldIn, newIn, length');
+  }
+  return events;
+}
+
+/**
+ * Converts cue timecode in an old cut of the picture to the new cut, following a change
+ * list of events where material from oldIn (for length frames) moved to newIn.
+ *
+ * Cues whose timecode is not within any event (because that material was removed) are
+ * an error.
+ * @param {any[][]} cueTcs Cue timecode in the old cut (or a range of cue timecodes).
+ * @param {any[][]} oldIns Range of event in timecodes in the old cut.
+ * @param {any[][]} newIns Range of event in timecodes in the new cut, the same size as
+ *     oldIns.
+ * @param {any[][]} lengths Range of event lengths (integer numbers of frames, or timecode
+ *     durations), the same size as oldIns.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if included in frameRate, or if frameRate has no drop frame standard.
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Cue timecode in the new cut.
+ * @customFunction
+ */
+function CONFORM_TCS(cueTcs, oldIns, newIns, lengths, frameRate, dropType, subframes) {
+  // The change list ranges are used whole for every result, rather than per cell.
+  const getEvents = cachedRangeParser_((tcStd) =>
+    parseConformEvents_(oldIns, newIns, lengths, tcStd));
+  const conformTc = (cueTc, frameRate, dropType, subframes) => {
+    const tcStd = parseTcStd_(frameRate, dropType, subframes);
+    const events = getEvents(tcStd);
+
+    const frameIdx = validTcToFrameIdx_(cueTc, tcStd);
+    const event = events.find(
+        (e) => (e.oldIn <= frameIdx) && (frameIdx < (e.oldIn + e.length)));
+    if (!event) {
+      throw inputValueErr_(`cue material was removed (not in any change list event): "${cueTc}"`);
+    }
+    return frameIdxToTc_(event.newIn + (frameIdx - event.oldIn), tcStd);
+  };
+
+  const args = [cueTcs, frameRate, dropType, subframes];
+  return isRangeCall_(args) ? mapRanges_(conformTc, args) : conformTc(...args);
+}
+
+/**
+ * @param {*} edlText
+ * @param {*} frameRate
+ * @param {string|undefined} dropType
+ * @param {string} name Argument name, for errors.
+ * @return {!Array<EdlRow>} Picture (video track) events of the EDL.
+ * @private
+ */
+function parseConformEdl_(edlText, frameRate, dropType, name) {
+  const rows = parseEdl_(edlText, frameRate, dropType, name);
+  for (const row of rows) {
+    if (row.errors.length > 0) {
+      throw inputValueErr_(`${name} event ${row.event}: ${row.errors.join('; ')}`);
+    }
+  }
+
+  // Video tracks are "V" (or e.g. "AA/V"), or "B" for both audio and video.
+  return rows.filter((row) => /V/.test(row.track) || (row.track === 'B'));
+}
+
+/**
+ * @param {EdlRow} row
+ * @param {number} recFrameIdx
+ * @return {boolean} Whether the record frame index is within the EDL event.
+ * @private
+ */
+function isInEdlRecord_(row, recFrameIdx) {
+  return (row.frameIdxs.recIn <= recFrameIdx) && (recFrameIdx < row.frameIdxs.recOut);
+}
+
+/**
+ * Converts cue timecode in an old cut of the picture to the new cut, by following the
+ * source material (reel and source timecode) of the picture at the cue from the old
+ * EDL to the new EDL.
+ *
+ * Cues are an error if their material was trimmed (so the rest of the shot is still
+ * in the new cut) or removed, or if it is within a motion effect.
+ * @param {any[][]} cueTcs Cue timecode in the old cut (or a range of cue timecodes).
+ * @param {any[][]} oldEdlText CMX3600 EDL text of the old cut, either in one cell or one
+ *     line per cell.
+ * @param {any[][]} newEdlText CMX3600 EDL text of the new cut, either in one cell or one
+ *     line per cell.
+ * @param {any[][]} [frameRate] Frame rate as a plain text string, with exactly 2 or 3
+ *     decimal digits of precision after the period (e.g. "23.976" or "24.00"), an
+ *     exact ratio (e.g. "24000/1001"), or a number. May include the drop type (e.g.
+ *     "29.97 DF" or "23.976 NDF").
+ *     Uses the workbook's default timecode standard (set in the task pane) if omitted.
+ * @param {string[][]} [dropType] "drop" or "non-drop" (or e.g. "DF" or "NDF"). Optional
+ *     if the EDLs have FCM lines, if included in frameRate, or if frameRate has no drop
+ *     frame standard.
+ * @param {number[][]} [subframes] Subframes per frame for timecode with a subframe field
+ *     (e.g. "00:00:01:02.50"), 100 by default (or 80 for some DAWs).
+ * @return {string[][]} Cue timecode in the new cut.
+ * @customFunction
+ */
+function CONFORM_TCS_EDL(cueTcs, oldEdlText, newEdlText, frameRate, dropType, subframes) {
+  // The EDL ranges are used whole for every result, rather than per cell.
+  const getEdls = cachedRangeParser_((frameRate, dropType) => ({
+    oldRows: parseConformEdl_(oldEdlText, frameRate, dropType, 'oldEdlText'),
+    newRows: parseConformEdl_(newEdlText, frameRate, dropType, 'newEdlText'),
+  }));
+  const conformTc = (cueTc, frameRate, dropType, subframes) => {
+    const tcStd = parseTcStd_(frameRate, dropType, subframes);
+    const {oldRows, newRows} = getEdls(frameRate, dropType);
+
+    const frameIdx = validTcToFrameIdx_(cueTc, tcStd);
+    const oldRow = oldRows.find((row) => isInEdlRecord_(row, frameIdx));
+    if (!oldRow) {
+      throw inputValueErr_(`cue is not within any picture event of oldEdlText: "${cueTc}"`);
+    }
+    if (oldRow.speed !== '') {
+      throw inputValueErr_(`cue is within a motion effect (M2) in oldEdlText: "${cueTc}"`);
+    }
+
+    const old = oldRow.frameIdxs;
+    const srcFrameIdx = old.srcIn + (frameIdx - old.recIn);
+    const shotRows = newRows.filter((row) => (row.reel === oldRow.reel) &&
+        (row.frameIdxs.srcIn < old.srcOut) && (old.srcIn < row.frameIdxs.srcOut));
+
+    // If the material is used more than once in the new cut, the first use is chosen.
+    const newRow = shotRows.find((row) =>
+      (row.frameIdxs.srcIn <= srcFrameIdx) && (srcFrameIdx < row.frameIdxs.srcOut));
+    if (!newRow) {
+      if (shotRows.length > 0) {
+        const rest = shotRows[0].frameIdxs;
+        const restTc = frameIdxToTc_(rest.recIn + Math.max(0, old.srcIn - rest.srcIn), tcStd);
+        throw inputValueErr_(
+            `cue material was trimmed (the rest of its shot is at ${restTc}): "${cueTc}"`);
+      }
+      throw inputValueErr_(`cue material was removed (reel ${oldRow.reel}): "${cueTc}"`);
+    }
+    if (newRow.speed !== '') {
+      throw inputValueErr_(`cue is within a motion effect (M2) in newEdlText: "${cueTc}"`);
+    }
+
+    const newFrameIdxs = newRow.frameIdxs;
+    return frameIdxToTc_(newFrameIdxs.recIn + (srcFrameIdx - newFrameIdxs.srcIn), tcStd);
+  };
+
+  const args = [cueTcs, frameRate, dropType, subframes];
+  return isRangeCall_(args) ? mapRanges_(conformTc, args) : conformTc(...args);
+}
+
+//==================================================================================================
+// Module Exports
+//==================================================================================================
+
+if ((typeof module !== 'undefined') && module.exports) {
+  module.exports = {
+    BARS_BEATS_TO_TC_LEFT: BARS_BEATS_TO_TC_LEFT,
+    BARS_BEATS_TO_TC_RIGHT: BARS_BEATS_TO_TC_RIGHT,
+    CLOCKSTR_TO_TC_LEFT: CLOCKSTR_TO_TC_LEFT,
+    CLOCKSTR_TO_TC_NEAREST: CLOCKSTR_TO_TC_NEAREST,
+    CLOCKSTR_TO_TC_RIGHT: CLOCKSTR_TO_TC_RIGHT,
+    CLOCKSTR_TO_WALL_SECS: CLOCKSTR_TO_WALL_SECS,
+    CONFORM_TCS: CONFORM_TCS,
+    CONFORM_TCS_EDL: CONFORM_TCS_EDL,
+    CUE_GAPS: CUE_GAPS,
+    CUE_ID: CUE_ID,
+    CUE_ID_TO_NUMBER: CUE_ID_TO_NUMBER,
+    CUE_ID_TO_REEL: CUE_ID_TO_REEL,
+    CUE_OVERLAPS: CUE_OVERLAPS,
+    CUE_TOTAL_WALL_SECS: CUE_TOTAL_WALL_SECS,
+    DEFAULT_DROP_TYPE_SETTING: DEFAULT_DROP_TYPE_SETTING,
+    DEFAULT_FRAME_RATE_SETTING: DEFAULT_FRAME_RATE_SETTING,
+    DURSTR_TO_WALL_SECS: DURSTR_TO_WALL_SECS,
+    EDL_TO_TABLE: EDL_TO_TABLE,
+    FEET_FRAMES_TO_FRAMEIDX: FEET_FRAMES_TO_FRAMEIDX,
+    FEET_FRAMES_TO_TC: FEET_FRAMES_TO_TC,
+    FRAMEIDX_TO_FEET_FRAMES: FRAMEIDX_TO_FEET_FRAMES,
+    FRAMEIDX_TO_SAMPLES: FRAMEIDX_TO_SAMPLES,
+    FRAMEIDX_TO_TC: FRAMEIDX_TO_TC,
+    FRAMEIDX_TO_WALL_SECS: FRAMEIDX_TO_WALL_SECS,
+    HIT_POINT_TEMPOS: HIT_POINT_TEMPOS,
+    REEL_TC_TO_TC: REEL_TC_TO_TC,
+    SAMPLES_TO_FRAMEIDX_LEFT: SAMPLES_TO_FRAMEIDX_LEFT,
+    SAMPLES_TO_FRAMEIDX_RIGHT: SAMPLES_TO_FRAMEIDX_RIGHT,
+    SAMPLES_TO_TC_LEFT: SAMPLES_TO_TC_LEFT,
+    SAMPLES_TO_TC_RIGHT: SAMPLES_TO_TC_RIGHT,
+    SAMPLES_TO_WALL_SECS: SAMPLES_TO_WALL_SECS,
+    TC_ADD: TC_ADD,
+    TC_CONVERT: TC_CONVERT,
+    TC_ERROR: TC_ERROR,
+    TC_OFFSET_FRAMES: TC_OFFSET_FRAMES,
+    TC_OFFSET_WALL_SECS_LEFT: TC_OFFSET_WALL_SECS_LEFT,
+    TC_OFFSET_WALL_SECS_RIGHT: TC_OFFSET_WALL_SECS_RIGHT,
+    TC_SUBTRACT: TC_SUBTRACT,
+    TC_TO_BARS_BEATS: TC_TO_BARS_BEATS,
+    TC_TO_CLOCKSTR: TC_TO_CLOCKSTR,
+    TC_TO_FEET_FRAMES: TC_TO_FEET_FRAMES,
+    TC_TO_FRAMEIDX: TC_TO_FRAMEIDX,
+    TC_TO_REEL: TC_TO_REEL,
+    TC_TO_REEL_TC: TC_TO_REEL_TC,
+    TC_TO_SAMPLES: TC_TO_SAMPLES,
+    TC_TO_WALL_SECS: TC_TO_WALL_SECS,
+    TEMPO_MAP_BARS_BEATS_TO_TC_LEFT: TEMPO_MAP_BARS_BEATS_TO_TC_LEFT,
+    TEMPO_MAP_BARS_BEATS_TO_TC_RIGHT: TEMPO_MAP_BARS_BEATS_TO_TC_RIGHT,
+    TEMPO_MAP_TC_TO_BARS_BEATS: TEMPO_MAP_TC_TO_BARS_BEATS,
+    WALL_SECS_BETWEEN_TCS: WALL_SECS_BETWEEN_TCS,
+    WALL_SECS_TO_CLOCKSTR: WALL_SECS_TO_CLOCKSTR,
+    WALL_SECS_TO_DURSTR: WALL_SECS_TO_DURSTR,
+    WALL_SECS_TO_FRAMEIDX_LEFT: WALL_SECS_TO_FRAMEIDX_LEFT,
+    WALL_SECS_TO_FRAMEIDX_NEAREST: WALL_SECS_TO_FRAMEIDX_NEAREST,
+    WALL_SECS_TO_FRAMEIDX_RIGHT: WALL_SECS_TO_FRAMEIDX_RIGHT,
+    WALL_SECS_TO_SAMPLES_LEFT: WALL_SECS_TO_SAMPLES_LEFT,
+    WALL_SECS_TO_SAMPLES_RIGHT: WALL_SECS_TO_SAMPLES_RIGHT,
+    WALL_SECS_TO_TC_LEFT: WALL_SECS_TO_TC_LEFT,
+    WALL_SECS_TO_TC_NEAREST: WALL_SECS_TO_TC_NEAREST,
+    WALL_SECS_TO_TC_RIGHT: WALL_SECS_TO_TC_RIGHT,
+    WALL_SECS_TO_TC_SUBFRAMES_LEFT: WALL_SECS_TO_TC_SUBFRAMES_LEFT,
+    WALL_SECS_TO_TC_SUBFRAMES_NEAREST: WALL_SECS_TO_TC_SUBFRAMES_NEAREST,
+    WALL_SECS_TO_TC_SUBFRAMES_RIGHT: WALL_SECS_TO_TC_SUBFRAMES_RIGHT,
+
+    // Private tables, exported only so tests can cover every supported standard.
+    DROP_FRAMES_PER_10MINS_: DROP_FRAMES_PER_10MINS_,
+    FRAME_RATES_: FRAME_RATES_,
   };
 }
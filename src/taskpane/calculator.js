@@ -0,0 +1,313 @@
+// Timecode calculator for the task pane: converts between timecode, frame index, wall
+// seconds, feet+frames, and duration string by calling the custom functions themselves
+// (so results always match), and builds the matching TIMECODE.* formulas.
+
+const functions = require('../functions/functions.js');
+
+/**
+ * Calculator fields, in display order.
+ */
+const CALCULATOR_FIELDS = ['timecode', 'frameIdx', 'wallSecs', 'feetFrames', 'durStr'];
+
+/**
+ * Fields entered as numbers (rather than text).
+ * @private
+ */
+const NUMBER_FIELDS_ = ['frameIdx', 'wallSecs'];
+
+/** @private */
+const FIELD_LABELS_ = {
+  timecode: 'timecode',
+  frameIdx: 'frame index',
+  wallSecs: 'wall seconds',
+  feetFrames: 'feet+frames',
+  durStr: 'duration string',
+};
+
+/** @private */
+const NUMBER_STR_FMT_ = /^-?([0-9]+(\.[0-9]*)?|\.[0-9]+)$/;
+
+/**
+ * Decimal digits of seconds shown in the duration string.
+ * @private
+ */
+const DUR_STR_DECIMALS_ = 3;
+
+/** @private */
+const FORMULA_NAMESPACE_ = 'TIMECODE';
+
+/**
+ * @typedef {{
+ *   frameRate: string,
+ *   dropType: string,
+ *   filmFormat: string,
+ * }} CalculatorOptions Uses the workbook's default timecode standard if frameRate is
+ *     empty, and has no feet+frames if filmFormat is empty.
+ */
+
+/**
+ * One custom function call of a conversion, which takes the previous step's result as
+ * its first argument.
+ * @typedef {{
+ *   fn: string,
+ *   args: function(CalculatorOptions): !Array<*>,
+ * }} ConversionStep
+ * @private
+ */
+
+/**
+ * @typedef {{
+ *   field: string,
+ *   expr: string,
+ *   values: !Object<string, (string|number)>,
+ * }} CalculatorResult The source field (entered or calculated by an operation), the
+ *     formula expression of its value, and the value of every field (empty if it
+ *     doesn't apply).
+ */
+
+/**
+ * @param {CalculatorOptions} options
+ * @return {!Array<string>} Timecode standard arguments (none for the workbook default).
+ * @private
+ */
+function tcStdArgs_(options) {
+  return (options.frameRate === '') ? [] : [options.frameRate, options.dropType];
+}
+
+/**
+ * @param {string} fn
+ * @param {function(CalculatorOptions): !Array<*>=} args Arguments after the first.
+ * @return {ConversionStep}
+ * @private
+ */
+function step_(fn, args = () => []) {
+  return {fn: fn, args: args};
+}
+
+/**
+ * Conversions of each field to a frame index.
+ * @private
+ */
+const TO_FRAMEIDX_STEPS_ = {
+  timecode: [step_('TC_TO_FRAMEIDX', tcStdArgs_)],
+  frameIdx: [],
+  wallSecs: [step_('WALL_SECS_TO_FRAMEIDX_LEFT', tcStdArgs_)],
+  feetFrames: [step_('FEET_FRAMES_TO_FRAMEIDX', (o) => [o.filmFormat])],
+  durStr: [step_('DURSTR_TO_WALL_SECS'), step_('WALL_SECS_TO_FRAMEIDX_LEFT', tcStdArgs_)],
+};
+
+/**
+ * Conversions of a frame index to each field.
+ * @private
+ */
+const FROM_FRAMEIDX_STEPS_ = {
+  timecode: [step_('FRAMEIDX_TO_TC', tcStdArgs_)],
+  frameIdx: [],
+  wallSecs: [step_('FRAMEIDX_TO_WALL_SECS', tcStdArgs_)],
+  feetFrames: [step_('FRAMEIDX_TO_FEET_FRAMES', (o) => [o.filmFormat])],
+  durStr: [
+    step_('FRAMEIDX_TO_WALL_SECS', tcStdArgs_),
+    step_('WALL_SECS_TO_DURSTR', () => ['hms', DUR_STR_DECIMALS_]),
+  ],
+};
+
+/**
+ * Conversions with a direct custom function (rather than through a frame index), keyed
+ * by "from>to" fields.
+ * @private
+ */
+const DIRECT_STEPS_ = {
+  'timecode>wallSecs': [step_('TC_TO_WALL_SECS', tcStdArgs_)],
+  'timecode>feetFrames': [step_('TC_TO_FEET_FRAMES', (o) => [o.filmFormat, ...tcStdArgs_(o)])],
+  'timecode>durStr': [
+    step_('TC_TO_WALL_SECS', tcStdArgs_),
+    step_('WALL_SECS_TO_DURSTR', () => ['hms', DUR_STR_DECIMALS_]),
+  ],
+  'wallSecs>timecode': [step_('WALL_SECS_TO_TC_LEFT', tcStdArgs_)],
+  'wallSecs>durStr': [step_('WALL_SECS_TO_DURSTR', () => ['hms', DUR_STR_DECIMALS_])],
+  'feetFrames>timecode': [step_('FEET_FRAMES_TO_TC', (o) => [o.filmFormat, ...tcStdArgs_(o)])],
+  'durStr>timecode': [step_('DURSTR_TO_WALL_SECS'), step_('WALL_SECS_TO_TC_LEFT', tcStdArgs_)],
+  'durStr>wallSecs': [step_('DURSTR_TO_WALL_SECS')],
+};
+
+/**
+ * Calculates every field from an entered value. Wall seconds and duration strings
+ * between frames convert to the closest frame at or before them.
+ * @param {string} field One of CALCULATOR_FIELDS.
+ * @param {string} valueStr Entered value.
+ * @param {CalculatorOptions} options
+ * @return {CalculatorResult}
+ */
+function calculateFields(field, valueStr, options) {
+  const value = parseFieldValue_(field, valueStr.trim());
+  return calculateFrom_(field, value, formulaValue_(value), options);
+}
+
+/**
+ * Adds (or subtracts) a duration timecode to the result's timecode, as in TC_ADD and
+ * TC_SUBTRACT.
+ * @param {CalculatorResult} result
+ * @param {string} operation "add" or "subtract".
+ * @param {string} durationStr Duration timecode.
+ * @param {CalculatorOptions} options
+ * @return {CalculatorResult} Result with the new timecode as its source.
+ */
+function applyOperation(result, operation, durationStr, options) {
+  const fn = (operation === 'subtract') ? 'TC_SUBTRACT' : 'TC_ADD';
+  const opStep = step_(fn, (o) => [durationStr.trim(), ...tcStdArgs_(o)]);
+  const timecode = runSteps_([opStep], result.values.timecode, options);
+  const expr = stepsExpr_([opStep], fieldExpr_(result, 'timecode', options), options);
+  return calculateFrom_('timecode', timecode, expr, options);
+}
+
+/**
+ * @param {CalculatorResult} result
+ * @param {string} field One of CALCULATOR_FIELDS.
+ * @param {CalculatorOptions} options
+ * @return {string} Formula (e.g. '=TIMECODE.TC_TO_WALL_SECS("00:00:01:02", "50.00",
+ *     "non-drop")') that calculates the field's value from the source value.
+ */
+function fieldFormula(result, field, options) {
+  return `=${fieldExpr_(result, field, options)}`;
+}
+
+/**
+ * @param {string} field One of CALCULATOR_FIELDS.
+ * @return {boolean} Whether the field's value is a number (rather than text).
+ */
+function isNumberField(field) {
+  return NUMBER_FIELDS_.includes(field);
+}
+
+/**
+ * @param {string} field
+ * @param {string} valueStr Trimmed entered value.
+ * @return {string|number}
+ * @private
+ */
+function parseFieldValue_(field, valueStr) {
+  if (valueStr === '') {
+    throw new Error(`enter a ${FIELD_LABELS_[field]} value`);
+  }
+  if (!isNumberField(field)) {
+    return valueStr;
+  }
+
+  if (!NUMBER_STR_FMT_.test(valueStr)) {
+    throw new Error(`${FIELD_LABELS_[field]} must be a number: "${valueStr}"`);
+  }
+  const value = Number(valueStr);
+  if ((field === 'frameIdx') && !Number.isInteger(value)) {
+    throw new Error(`frame index must be an integer: "${valueStr}"`);
+  }
+  return value;
+}
+
+/**
+ * @param {string} field Source field.
+ * @param {string|number} value Source value.
+ * @param {string} expr Formula expression of the source value.
+ * @param {CalculatorOptions} options
+ * @return {CalculatorResult}
+ * @private
+ */
+function calculateFrom_(field, value, expr, options) {
+  const result = {field: field, expr: expr, values: {}};
+  for (const toField of CALCULATOR_FIELDS) {
+    result.values[toField] = hasFilmFormat_(field, toField, options) ?
+        runSteps_(conversionSteps_(field, toField), value, options) : '';
+  }
+  return result;
+}
+
+/**
+ * @param {string} fromField
+ * @param {string} toField
+ * @return {!Array<ConversionStep>}
+ * @private
+ */
+function conversionSteps_(fromField, toField) {
+  if (fromField === toField) {
+    return [];
+  }
+  return DIRECT_STEPS_[`${fromField}>${toField}`] ||
+      [...TO_FRAMEIDX_STEPS_[fromField], ...FROM_FRAMEIDX_STEPS_[toField]];
+}
+
+/**
+ * @param {string} fromField
+ * @param {string} toField
+ * @param {CalculatorOptions} options
+ * @return {boolean} False if the conversion needs a film format, but none is chosen.
+ * @throws {Error} If converting from feet+frames without a film format.
+ * @private
+ */
+function hasFilmFormat_(fromField, toField, options) {
+  if ((options.filmFormat !== '') || (fromField === toField)) {
+    return true;
+  }
+  if (fromField === 'feetFrames') {
+    throw new Error('choose a film format for feet+frames');
+  }
+  return toField !== 'feetFrames';
+}
+
+/**
+ * @param {!Array<ConversionStep>} steps
+ * @param {string|number} value
+ * @param {CalculatorOptions} options
+ * @return {string|number}
+ * @private
+ */
+function runSteps_(steps, value, options) {
+  for (const step of steps) {
+    value = functions[step.fn](value, ...step.args(options));
+  }
+  return value;
+}
+
+/**
+ * @param {!Array<ConversionStep>} steps
+ * @param {string} expr Formula expression of the first argument.
+ * @param {CalculatorOptions} options
+ * @return {string} Formula expression of the nested custom function calls.
+ * @private
+ */
+function stepsExpr_(steps, expr, options) {
+  for (const step of steps) {
+    const args = [expr, ...step.args(options).map(formulaValue_)];
+    expr = `${FORMULA_NAMESPACE_}.${step.fn}(${args.join(', ')})`;
+  }
+  return expr;
+}
+
+/**
+ * @param {CalculatorResult} result
+ * @param {string} field
+ * @param {CalculatorOptions} options
+ * @return {string}
+ * @private
+ */
+function fieldExpr_(result, field, options) {
+  if (!hasFilmFormat_(result.field, field, options)) {
+    throw new Error('choose a film format for feet+frames');
+  }
+  return stepsExpr_(conversionSteps_(result.field, field), result.expr, options);
+}
+
+/**
+ * @param {string|number} value
+ * @return {string} Formula literal (with any quotes doubled in a text value).
+ * @private
+ */
+function formulaValue_(value) {
+  return (typeof value === 'number') ? String(value) : `"${value.replace(/"/g, '""')}"`;
+}
+
+module.exports = {
+  CALCULATOR_FIELDS: CALCULATOR_FIELDS,
+  applyOperation: applyOperation,
+  calculateFields: calculateFields,
+  fieldFormula: fieldFormula,
+  isNumberField: isNumberField,
+};
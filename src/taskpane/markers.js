@@ -0,0 +1,257 @@
+// Import of DAW marker lists into the cue log: Pro Tools "Export Session Info as
+// Text" files (from the MARKERS LISTING section), and CSV marker lists (e.g. from
+// Logic or Reaper).
+
+const {
+  TC_ERROR,
+  TC_TO_FRAMEIDX,
+  TC_TO_WALL_SECS,
+} = require('../functions/functions.js');
+
+/** @private */
+const PRO_TOOLS_MARKERS_HEADING_ = /^M\s*A\s*R\s*K\s*E\s*R\s*S\s+L\s*I\s*S\s*T\s*I\s*N\s*G/i;
+
+/**
+ * Pro Tools session TIMECODE FORMAT (e.g. "23.976 Frame" or "29.97 Drop Frame").
+ * @private
+ */
+const PRO_TOOLS_TC_FORMAT_ = /^TIMECODE FORMAT:\s*([0-9]+(?:\.[0-9]+)?)\s*(Drop)?\s*Frame/i;
+
+/**
+ * Header name of the marker name column (e.g. "NAME" in Pro Tools, but not "TRACK NAME").
+ * @private
+ */
+const NAME_COLUMN_FMT_ = /^(marker\s+)?name$/i;
+
+/** @private */
+const TIMECODE_COLUMN_FMT_ = /^(location|start|position|time(code)?|tc)$/i;
+
+/** @private */
+const COMMENT_COLUMN_FMT_ = /comment|description|notes?/i;
+
+/**
+ * Header row of the imported rows.
+ * @private
+ */
+const MARKER_TABLE_HEADER_ = ['Name', 'Timecode', 'Comment', 'Warning'];
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   timecode: string,
+ *   comment: string,
+ * }} ImportedMarker
+ */
+
+/**
+ * @typedef {{
+ *   frameRate: string,
+ *   dropType: string,
+ * }} TcStdOptions
+ */
+
+/**
+ * @typedef {{
+ *   source: string,
+ *   session: (TcStdOptions|null),
+ *   markers: !Array<ImportedMarker>,
+ * }} MarkerList
+ */
+
+/**
+ * Parses a Pro Tools session info text file, or a CSV (or tab-separated) marker list
+ * with a header row.
+ * @param {string} text
+ * @return {MarkerList} The session timecode standard is null if the text doesn't
+ *     declare one.
+ */
+function parseMarkerList(text) {
+  const lines = text.split(/\r\n|\r|\n/);
+  const headingIdx = lines.findIndex((line) => PRO_TOOLS_MARKERS_HEADING_.test(line.trim()));
+  if (headingIdx >= 0) {
+    return parseProToolsMarkers_(lines, headingIdx);
+  }
+  return parseCsvMarkers_(lines);
+}
+
+/**
+ * @param {TcStdOptions|null} session Timecode standard declared by the session.
+ * @param {TcStdOptions} expected Timecode standard the workbook expects.
+ * @return {string} Error if the standards differ, or empty string if they match (or
+ *     the session doesn't declare a standard).
+ */
+function checkSessionStandard(session, expected) {
+  if (!session) {
+    return '';
+  }
+
+  // Standards match if they have the same frames and wall time in 10 minutes of timecode.
+  const tenMins = '00:10:00:00';
+  const sessionFrames = TC_TO_FRAMEIDX(tenMins, session.frameRate, session.dropType);
+  const expectedFrames = TC_TO_FRAMEIDX(tenMins, expected.frameRate, expected.dropType);
+  const sessionSecs = TC_TO_WALL_SECS(tenMins, session.frameRate, session.dropType);
+  const expectedSecs = TC_TO_WALL_SECS(tenMins, expected.frameRate, expected.dropType);
+  if ((sessionFrames !== expectedFrames) || (sessionSecs !== expectedSecs)) {
+    return `the session timecode is ${session.frameRate} ${session.dropType}, but the ` +
+        `workbook expects ${expected.frameRate} ${expected.dropType}`;
+  }
+  return '';
+}
+
+/**
+ * Returns rows (with a header row) of marker name, timecode, comment, and a warning
+ * for suspicious markers: invalid timecode (using the same rules as TC_ERROR), a
+ * missing name, or a timecode that repeats or is before the previous marker.
+ * @param {!Array<ImportedMarker>} markers
+ * @param {TcStdOptions} tcStd
+ * @return {!Array<!Array<string>>}
+ */
+function markerTableRows(markers, tcStd) {
+  const rows = [MARKER_TABLE_HEADER_];
+  let prevFrameIdx = -Infinity;
+  for (const marker of markers) {
+    const warnings = [];
+    const tcErr = TC_ERROR(marker.timecode, tcStd.frameRate, tcStd.dropType);
+    if (tcErr !== '') {
+      warnings.push(tcErr.replace(/^Error: /, ''));
+    } else {
+      const frameIdx = TC_TO_FRAMEIDX(marker.timecode, tcStd.frameRate, tcStd.dropType);
+      if (frameIdx === prevFrameIdx) {
+        warnings.push('same timecode as the previous marker');
+      } else if (frameIdx < prevFrameIdx) {
+        warnings.push('timecode is before the previous marker');
+      }
+      prevFrameIdx = frameIdx;
+    }
+    if (marker.name === '') {
+      warnings.push('marker has no name');
+    }
+
+    rows.push([marker.name, marker.timecode, marker.comment, warnings.join('; ')]);
+  }
+  return rows;
+}
+
+/**
+ * @param {!Array<string>} lines
+ * @param {number} headingIdx Index of the MARKERS LISTING line.
+ * @return {MarkerList}
+ * @private
+ */
+function parseProToolsMarkers_(lines, headingIdx) {
+  let session = null;
+  for (const line of lines.slice(0, headingIdx)) {
+    const matches = line.trim().match(PRO_TOOLS_TC_FORMAT_);
+    if (matches) {
+      // Pro Tools writes whole rates without decimals (e.g. "24 Frame").
+      const frameRate = matches[1].includes('.') ? matches[1] : `${matches[1]}.00`;
+      session = {frameRate: frameRate, dropType: matches[2] ? 'drop' : 'non-drop'};
+    }
+  }
+
+  // The listing has a header row (e.g. "#", "LOCATION", ..., "NAME", "COMMENTS")
+  // of tab-separated columns, then a row per marker until a blank line.
+  const rows = [];
+  for (const line of lines.slice(headingIdx + 1)) {
+    if (line.trim() === '') {
+      if (rows.length > 0) {
+        break;
+      }
+      continue;
+    }
+    rows.push(line.split('\t').map((value) => value.trim()));
+  }
+  return {source: 'Pro Tools', session: session, markers: markersFromRows_(rows)};
+}
+
+/**
+ * @param {!Array<string>} lines
+ * @return {MarkerList}
+ * @private
+ */
+function parseCsvMarkers_(lines) {
+  const nonBlankLines = lines.filter((line) => line.trim() !== '');
+  if (nonBlankLines.length === 0) {
+    throw new Error('there is no marker list text to import');
+  }
+
+  const header = nonBlankLines[0];
+  const delimiter = (header.includes('\t') && !header.includes(',')) ? '\t' : ',';
+  const rows = nonBlankLines.map((line) => splitCsvLine_(line, delimiter));
+  return {source: 'CSV', session: null, markers: markersFromRows_(rows)};
+}
+
+/**
+ * @param {string} line
+ * @param {string} delimiter
+ * @return {!Array<string>} Values, with any quotes removed (and "" as a quote).
+ * @private
+ */
+function splitCsvLine_(line, delimiter) {
+  const values = [];
+  let value = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; ++i) {
+    const ch = line[i];
+    if (inQuotes) {
+      if ((ch === '"') && (line[i + 1] === '"')) {
+        value += '"';
+        ++i;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        value += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      values.push(value.trim());
+      value = '';
+    } else {
+      value += ch;
+    }
+  }
+  values.push(value.trim());
+  return values;
+}
+
+/**
+ * @param {!Array<!Array<string>>} rows Header row, then a row per marker.
+ * @return {!Array<ImportedMarker>}
+ * @private
+ */
+function markersFromRows_(rows) {
+  if (rows.length === 0) {
+    throw new Error('the marker list has no header row');
+  }
+
+  const header = rows[0];
+  const nameCol = header.findIndex((title) => NAME_COLUMN_FMT_.test(title));
+  const tcCol = header.findIndex((title) => TIMECODE_COLUMN_FMT_.test(title));
+  const commentCol = header.findIndex((title) => COMMENT_COLUMN_FMT_.test(title));
+  if ((nameCol < 0) || (tcCol < 0)) {
+    throw new Error('the marker list header must have name and timecode (e.g. "Location", ' +
+        '"Start", or "Position") columns');
+  }
+
+  return rows.slice(1).map((row) => ({
+    name: row[nameCol] || '',
+    timecode: normalizeMarkerTc_(row[tcCol] || ''),
+    comment: (commentCol < 0) ? '' : (row[commentCol] || ''),
+  }));
+}
+
+/**
+ * @param {string} timecode
+ * @return {string} Timecode with a 2-digit hour (e.g. Reaper writes "1:00:00:00").
+ * @private
+ */
+function normalizeMarkerTc_(timecode) {
+  return timecode.trim().replace(/^([0-9]):/, '0$1:');
+}
+
+module.exports = {
+  checkSessionStandard: checkSessionStandard,
+  markerTableRows: markerTableRows,
+  parseMarkerList: parseMarkerList,
+};
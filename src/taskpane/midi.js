@@ -0,0 +1,376 @@
+// Standard MIDI File (SMF) export of spotting markers, for importing cue log
+// markers into a DAW (e.g. Pro Tools, Logic, or Cubase).
+//
+// The file has a single (tempo) track with a SMPTE offset at the start timecode,
+// an optional tempo and time signature, and a marker meta event at each marker
+// (with any comment as a text event at the same position).
+
+const {
+  TC_ERROR,
+  TC_TO_FRAMEIDX,
+  WALL_SECS_BETWEEN_TCS,
+} = require('../functions/functions.js');
+
+/**
+ * MIDI ticks per quarter note (matching the custom functions' bar|beat|tick positions).
+ * @private
+ */
+const TICKS_PER_QUARTER_ = 960;
+
+/**
+ * Tempo when no BPM is given (the MIDI file default, so no tempo event is needed).
+ * @private
+ */
+const DEFAULT_BPM_ = 120;
+
+/** @private */
+const MICROSECS_PER_MIN_ = 60000000;
+
+/** @private */
+const METER_STR_FMT_ = /^([0-9]+)\s*\/\s*([0-9]+)$/;
+
+/**
+ * Values that look like timecode (valid or not), e.g. "01:00:61:00" or "1:00:00".
+ * @private
+ */
+const TC_LIKE_STR_FMT_ = /^-?[0-9]+([:;.][0-9]+)+$/;
+
+/**
+ * SMPTE offset frame rate codes (bits 5-6 of the hours byte), by base frame rate.
+ * Timecode at multiples of these rates (e.g. 48, 50, or 59.94) uses fractional frames.
+ * @private
+ */
+const SMPTE_RATE_CODES_ = [
+  {fps: 30, code: 3, dropCode: 2},
+  {fps: 25, code: 1},
+  {fps: 24, code: 0},
+];
+
+/** @private */
+const SUBFRAMES_PER_SMPTE_FRAME_ = 100;
+
+/**
+ * SMPTE offset hours are 0-23 (bits 0-4 of the hours byte).
+ * @private
+ */
+const MAX_SMPTE_OFFSET_HH_ = 23;
+
+/**
+ * A marker read from one row of the selected range.
+ * @typedef {{
+ *   row: number,
+ *   name: string,
+ *   timecode: string,
+ *   comment: string,
+ * }} Marker
+ */
+
+/**
+ * @typedef {{
+ *   frameRate: string,
+ *   dropType: (string|undefined),
+ *   startTc: (string|undefined),
+ *   bpm: (number|undefined),
+ *   meter: (string|undefined),
+ * }} MidiExportOptions
+ */
+
+/**
+ * Reads markers from rows of name, timecode, and (optional) comment values. A first
+ * row with text that doesn't look like timecode (e.g. "Timecode") is skipped as a
+ * header row, and blank rows are skipped.
+ * @param {!Array<!Array<*>>} rows
+ * @param {MidiExportOptions} options
+ * @return {{markers: !Array<Marker>, errors: !Array<string>}}
+ */
+function readMarkerRows(rows, options) {
+  intFps_(options);  // Throws if the timecode standard is invalid.
+
+  const markers = [];
+  const errors = [];
+  rows.forEach(([name, timecode, comment], rowIdx) => {
+    if (isBlank_(name) && isBlank_(timecode)) {
+      return;  // Skip blank rows.
+    }
+
+    if ((rowIdx === 0) && isHeaderTc_(timecode)) {
+      return;  // Skip a header row (e.g. "Name", "Timecode", "Comment").
+    }
+
+    const tcErr = isBlank_(timecode) ? 'timecode is missing' :
+        TC_ERROR(timecode, options.frameRate, options.dropType).replace(/^Error: /, '');
+    if (tcErr !== '') {
+      errors.push(`row ${rowIdx + 1}: ${tcErr}`);
+      return;
+    }
+
+    markers.push({
+      row: rowIdx + 1,
+      name: isBlank_(name) ? `Marker ${markers.length + 1}` : String(name).trim(),
+      timecode: normalizeTc_(timecode, options),
+      comment: isBlank_(comment) ? '' : String(comment).trim(),
+    });
+  });
+  return {markers: markers, errors: errors};
+}
+
+/**
+ * Builds a Standard MIDI File (format 1) with a marker at each marker's timecode.
+ * @param {!Array<Marker>} markers
+ * @param {MidiExportOptions} options startTc (the SMPTE offset) defaults to the hour
+ *     of the earliest marker (e.g. "01:00:00:00").
+ * @return {!Uint8Array} Contents of the .mid file.
+ */
+function markersToMidi(markers, options) {
+  if (markers.length === 0) {
+    throw new Error('there are no markers to export');
+  }
+
+  const startTc = isBlank_(options.startTc) ?
+      earliestMarkerHourTc_(markers, options) : options.startTc;
+  const startTcErr = TC_ERROR(startTc, options.frameRate, options.dropType).replace(/^Error: /, '');
+  if (startTcErr !== '') {
+    throw new Error(`start timecode: ${startTcErr}`);
+  }
+
+  const hasTempo = !isBlank_(options.bpm);
+  const bpm = hasTempo ? Number(options.bpm) : DEFAULT_BPM_;
+  if (!(bpm > 0)) {
+    throw new Error('BPM must be a positive number');
+  }
+
+  /** @type {!Array<{ticks: number, bytes: !Array<number>}>} */
+  const events = [{ticks: 0, bytes: smpteOffsetEvent_(startTc, options)}];
+  if (hasTempo) {
+    events.push({ticks: 0, bytes: timeSignatureEvent_(options.meter)});
+    events.push({ticks: 0, bytes: tempoEvent_(bpm)});
+  }
+
+  for (const marker of markers) {
+    const wallSecs = WALL_SECS_BETWEEN_TCS(
+        startTc, marker.timecode, options.frameRate, options.dropType);
+    if (wallSecs < 0) {
+      throw new Error(`row ${marker.row}: marker timecode is before the start timecode`);
+    }
+
+    // Round up to a whole tick (ignoring floating point error), so that the marker
+    // is never placed before the start of its frame.
+    const exactTicks = wallSecs * bpm * TICKS_PER_QUARTER_ / 60;
+    const ticks = Math.ceil(exactTicks - 1e-6);
+    events.push({ticks: ticks, bytes: metaEvent_(0x06, marker.name)});
+    if (marker.comment !== '') {
+      events.push({ticks: ticks, bytes: metaEvent_(0x01, marker.comment)});
+    }
+  }
+
+  // Stable sort, so events at the same position stay in order.
+  events.sort((a, b) => a.ticks - b.ticks);
+
+  const trackBytes = [];
+  let prevTicks = 0;
+  for (const event of events) {
+    trackBytes.push(...varLen_(event.ticks - prevTicks), ...event.bytes);
+    prevTicks = event.ticks;
+  }
+  trackBytes.push(...varLen_(0), 0xFF, 0x2F, 0x00);  // End of track.
+
+  return Uint8Array.from([
+    ...ascii_('MThd'), ...uint32_(6),
+    ...uint16_(1), ...uint16_(1), ...uint16_(TICKS_PER_QUARTER_),  // Format 1, 1 track.
+    ...ascii_('MTrk'), ...uint32_(trackBytes.length), ...trackBytes,
+  ]);
+}
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ * @private
+ */
+function isBlank_(value) {
+  return (value === undefined) || (value === null) || (String(value).trim() === '');
+}
+
+/**
+ * @param {*} timecode Timecode cell value of the first row.
+ * @return {boolean} Whether it's header text (rather than a marker's timecode, which is
+ *     reported if invalid).
+ * @private
+ */
+function isHeaderTc_(timecode) {
+  return (typeof timecode === 'string') && (timecode.trim() !== '') &&
+      !TC_LIKE_STR_FMT_.test(timecode.trim());
+}
+
+/**
+ * @param {string|number} timecode Valid timecode (e.g. 1000000 or "01:00:00:00").
+ * @param {MidiExportOptions} options
+ * @return {string} Timecode in "HH:MM:SS:FF" format.
+ * @private
+ */
+function normalizeTc_(timecode, options) {
+  return (typeof timecode === 'number') ?
+      formatTcDigits_(timecode, options) : String(timecode).trim();
+}
+
+/**
+ * @param {number} digits Numerical timecode (e.g. 1000000 for 01:00:00:00).
+ * @param {MidiExportOptions} options
+ * @return {string}
+ * @private
+ */
+function formatTcDigits_(digits, options) {
+  const separator = isDropFrame_(options) ? ';' : ':';
+  const str = String(digits).padStart(8, '0');
+  return `${str.slice(0, 2)}:${str.slice(2, 4)}:${str.slice(4, 6)}${separator}${str.slice(6)}`;
+}
+
+/**
+ * @param {MidiExportOptions} options
+ * @return {number} Integer frames per timecode second (e.g. 24 for "23.976").
+ * @private
+ */
+function intFps_(options) {
+  return TC_TO_FRAMEIDX('00:00:01:00', options.frameRate, options.dropType);
+}
+
+/**
+ * @param {MidiExportOptions} options
+ * @return {boolean} Whether the timecode standard drops frame numbers.
+ * @private
+ */
+function isDropFrame_(options) {
+  // A drop frame standard has fewer frames than timecode labels in 10 minutes.
+  const framesPer10Mins = TC_TO_FRAMEIDX('00:10:00:00', options.frameRate, options.dropType);
+  return framesPer10Mins < (600 * intFps_(options));
+}
+
+/**
+ * @param {!Array<Marker>} markers
+ * @param {MidiExportOptions} options
+ * @return {string} Timecode at the start of the hour of the earliest marker.
+ * @private
+ */
+function earliestMarkerHourTc_(markers, options) {
+  const hours = markers.map((marker) => Number(marker.timecode.trim().slice(0, 2)));
+  const hh = String(Math.min(...hours)).padStart(2, '0');
+  return isDropFrame_(options) ? `${hh}:00:00;00` : `${hh}:00:00:00`;
+}
+
+/**
+ * @param {string} startTc
+ * @param {MidiExportOptions} options
+ * @return {!Array<number>} SMPTE offset meta event (FF 54).
+ * @private
+ */
+function smpteOffsetEvent_(startTc, options) {
+  const intFps = intFps_(options);
+  const isDrop = isDropFrame_(options);
+  const rate = SMPTE_RATE_CODES_.find((r) => (intFps % r.fps) === 0);
+  if (!rate) {
+    throw new Error(`MIDI SMPTE offsets do not support ${options.frameRate} fps timecode`);
+  }
+
+  // Faster rates (e.g. 50 fps) are written as the base rate (25 fps) with
+  // fractional frames.
+  const framesPerBaseFrame = intFps / rate.fps;
+  const [hh, mm, ss, ff] = startTc.trim().split(/[:;.]/).map(Number);
+  if (hh > MAX_SMPTE_OFFSET_HH_) {
+    throw new Error(`start timecode HH must be in range 00-${MAX_SMPTE_OFFSET_HH_} for a ` +
+        `MIDI SMPTE offset: "${startTc}"`);
+  }
+  const baseFf = Math.floor(ff / framesPerBaseFrame);
+  const fractionalFf = (ff % framesPerBaseFrame) * SUBFRAMES_PER_SMPTE_FRAME_ / framesPerBaseFrame;
+
+  const code = isDrop ? rate.dropCode : rate.code;
+  if (code === undefined) {
+    throw new Error(`MIDI SMPTE offsets do not support drop frame ${options.frameRate} fps`);
+  }
+  return [0xFF, 0x54, 0x05, (code << 5) | hh, mm, ss, baseFf, Math.round(fractionalFf)];
+}
+
+/**
+ * @param {string|undefined} meter Time signature (e.g. "6/8"), "4/4" if omitted.
+ * @return {!Array<number>} Time signature meta event (FF 58).
+ * @private
+ */
+function timeSignatureEvent_(meter) {
+  const matches = isBlank_(meter) ? ['4/4', '4', '4'] : String(meter).trim().match(METER_STR_FMT_);
+  const beatsPerBar = matches ? Number(matches[1]) : 0;
+  const beatUnit = matches ? Number(matches[2]) : 0;
+  const beatUnitPow = Math.log2(beatUnit);
+  if (!(beatsPerBar >= 1) || (beatsPerBar > 255) || !Number.isInteger(beatUnitPow)) {
+    throw new Error(`meter must be a time signature like "4/4" or "6/8": "${meter}"`);
+  }
+
+  // MIDI clocks per metronome click (24 per quarter note), and 32nd notes per quarter.
+  return [0xFF, 0x58, 0x04, beatsPerBar, beatUnitPow, 24, 8];
+}
+
+/**
+ * @param {number} bpm Quarter notes per minute.
+ * @return {!Array<number>} Set tempo meta event (FF 51).
+ * @private
+ */
+function tempoEvent_(bpm) {
+  const microsecsPerQuarter = Math.round(MICROSECS_PER_MIN_ / bpm);
+  if (microsecsPerQuarter >= (2 ** 24)) {
+    throw new Error('BPM is too slow for a MIDI file');
+  }
+  return [0xFF, 0x51, 0x03, ...uint32_(microsecsPerQuarter).slice(1)];
+}
+
+/**
+ * @param {number} type Meta event type (e.g. 0x06 for a marker).
+ * @param {string} text
+ * @return {!Array<number>} Meta event with UTF-8 text.
+ * @private
+ */
+function metaEvent_(type, text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  return [0xFF, type, ...varLen_(bytes.length), ...bytes];
+}
+
+/**
+ * @param {number} value Non-negative integer.
+ * @return {!Array<number>} MIDI variable-length quantity (7 bits per byte).
+ * @private
+ */
+function varLen_(value) {
+  const bytes = [value & 0x7F];
+  for (value = Math.floor(value / 0x80); value > 0; value = Math.floor(value / 0x80)) {
+    bytes.unshift((value & 0x7F) | 0x80);
+  }
+  return bytes;
+}
+
+/**
+ * @param {number} value
+ * @return {!Array<number>} Big-endian 32-bit bytes.
+ * @private
+ */
+function uint32_(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * @param {number} value
+ * @return {!Array<number>} Big-endian 16-bit bytes.
+ * @private
+ */
+function uint16_(value) {
+  return [(value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * @param {string} str
+ * @return {!Array<number>}
+ * @private
+ */
+function ascii_(str) {
+  return Array.from(str, (ch) => ch.charCodeAt(0));
+}
+
+module.exports = {
+  markersToMidi: markersToMidi,
+  readMarkerRows: readMarkerRows,
+};
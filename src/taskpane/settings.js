@@ -0,0 +1,115 @@
+// Workbook-level settings saved in the document: the default timecode standard (so that
+// custom functions can omit their frameRate and dropType arguments), and the timecode
+// standard that the ribbon's convert selection command converts to.
+
+const {
+  DEFAULT_DROP_TYPE_SETTING,
+  DEFAULT_FRAME_RATE_SETTING,
+  TC_ERROR,
+} = require('../functions/functions.js');
+
+/** @private */
+const CONVERT_TO_SETTING_ = 'timecode.convertTo';
+
+/**
+ * @return {?{frameRate: string, dropType: string}} The workbook's default timecode
+ *     standard, or null if none is set.
+ */
+function loadDefaultTcStd() {
+  const settings = Office.context.document.settings;
+  const frameRate = settings.get(DEFAULT_FRAME_RATE_SETTING);
+  if (!frameRate) {
+    return null;
+  }
+  return {frameRate: frameRate, dropType: settings.get(DEFAULT_DROP_TYPE_SETTING) || ''};
+}
+
+/**
+ * Saves (or clears, if frameRate is empty) the workbook's default timecode standard,
+ * then recalculates all formulas so that those using the default are updated.
+ * @param {string} frameRate
+ * @param {string} dropType
+ * @return {!Promise<void>}
+ */
+async function saveDefaultTcStd(frameRate, dropType) {
+  const settings = Office.context.document.settings;
+  if (frameRate === '') {
+    settings.remove(DEFAULT_FRAME_RATE_SETTING);
+    settings.remove(DEFAULT_DROP_TYPE_SETTING);
+  } else {
+    checkTcStd_(frameRate, dropType);
+    settings.set(DEFAULT_FRAME_RATE_SETTING, frameRate);
+    settings.set(DEFAULT_DROP_TYPE_SETTING, dropType);
+  }
+
+  await saveSettings_(settings);
+
+  // Custom functions don't depend on the settings, so recalculate everything.
+  await Excel.run(async (context) => {
+    context.workbook.application.calculate(Excel.CalculationType.full);
+    await context.sync();
+  });
+}
+
+/**
+ * @return {?{frameRate: string, dropType: string, mode: string}} Timecode standard (and
+ *     TC_CONVERT mode) that the convert selection command converts to, or null if none
+ *     is set.
+ */
+function loadConvertToTcStd() {
+  return Office.context.document.settings.get(CONVERT_TO_SETTING_);
+}
+
+/**
+ * @param {string} frameRate
+ * @param {string} dropType
+ * @param {string} mode
+ * @return {!Promise<void>}
+ */
+async function saveConvertToTcStd(frameRate, dropType, mode) {
+  if (frameRate === '') {
+    throw new Error('enter a frame rate to convert to');
+  }
+  checkTcStd_(frameRate, dropType);
+
+  const settings = Office.context.document.settings;
+  settings.set(CONVERT_TO_SETTING_, {frameRate: frameRate, dropType: dropType, mode: mode});
+  await saveSettings_(settings);
+}
+
+/**
+ * @param {string} frameRate
+ * @param {string} dropType
+ * @throws {Error} If the timecode standard is invalid (using the same rules as TC_ERROR).
+ * @private
+ */
+function checkTcStd_(frameRate, dropType) {
+  const tcErr = TC_ERROR('00:00:00:00', frameRate, dropType).replace(/^Error: /, '');
+  if (tcErr !== '') {
+    throw new Error(tcErr);
+  }
+}
+
+/**
+ * @param {!Office.Settings} settings
+ * @return {!Promise<void>}
+ * @private
+ */
+function saveSettings_(settings) {
+  return new Promise((resolve, reject) => {
+    settings.saveAsync((result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve();
+      } else {
+        reject(result.error);
+      }
+    });
+  });
+}
+
+module.exports = {
+  loadConvertToTcStd: loadConvertToTcStd,
+  loadDefaultTcStd: loadDefaultTcStd,
+  saveConvertToTcStd: saveConvertToTcStd,
+  saveDefaultTcStd: saveDefaultTcStd,
+};
@@ -1,5 +1,513 @@
+const {cellAddress} = require('../commands/selection.js');
+const {
+  CALCULATOR_FIELDS,
+  applyOperation,
+  calculateFields,
+  fieldFormula,
+  isNumberField,
+} = require('./calculator.js');
+const {checkSessionStandard, markerTableRows, parseMarkerList} = require('./markers.js');
+const {markersToMidi, readMarkerRows} = require('./midi.js');
+const {
+  loadConvertToTcStd,
+  loadDefaultTcStd,
+  saveConvertToTcStd,
+  saveDefaultTcStd,
+} = require('./settings.js');
+const {
+  TC_COLUMN_NAME_PREFIX,
+  auditTcValues,
+  highlightFormula,
+  isHighlightFormula,
+  parseTcStdComment,
+  tcValidationRules,
+  validationFormula,
+} = require('./validation.js');
+
+/**
+ * Fill color of imported marker rows with a warning.
+ */
+const WARNING_FILL_COLOR = '#FFC7CE';
+
+/**
+ * Sheet that lists the invalid cells of marked timecode columns (replaced by each audit).
+ */
+const AUDIT_SHEET_NAME = 'Timecode Audit';
+
+/**
+ * Delay before releasing a downloaded file's blob URL, since some webviews (e.g. Office
+ * desktop) start the download after click() returns.
+ */
+const DOWNLOAD_URL_REVOKE_DELAY_MS = 60000;
+
+/**
+ * Latest calculator result (or null if the entered value is invalid).
+ * @type {?CalculatorResult}
+ */
+let calcResult = null;
+
 // The initialize function must be run each time a new page is loaded.
 Office.initialize = () => {
+  const defaultTcStd = loadDefaultTcStd();
+  if (defaultTcStd) {
+    document.getElementById('frame-rate').value = defaultTcStd.frameRate;
+    document.getElementById('drop-type').value = defaultTcStd.dropType || 'non-drop';
+  }
+  const convertTo = loadConvertToTcStd();
+  if (convertTo) {
+    document.getElementById('convert-frame-rate').value = convertTo.frameRate;
+    document.getElementById('convert-drop-type').value = convertTo.dropType;
+    document.getElementById('convert-mode').value = convertTo.mode;
+  }
+
+  document.getElementById('tc-standard-save-button').onclick = saveTcStd;
+  document.getElementById('convert-save-button').onclick = saveConvertTo;
+  document.getElementById('tc-columns-mark-button').onclick = markTcColumns;
+  document.getElementById('tc-columns-audit-button').onclick = auditTcColumns;
+  for (const field of CALCULATOR_FIELDS) {
+    document.getElementById(`calc-${field}`).oninput = () => calculate(field);
+  }
+  for (const id of ['frame-rate', 'drop-type', 'calc-film-format']) {
+    document.getElementById(id).onchange = recalculate;
+  }
+  document.getElementById('calc-add-button').onclick = () => applyCalcOperation('add');
+  document.getElementById('calc-subtract-button').onclick = () => applyCalcOperation('subtract');
+  document.getElementById('calc-insert-value-button').onclick = () => insertCalcResult(false);
+  document.getElementById('calc-insert-formula-button').onclick = () => insertCalcResult(true);
+  document.getElementById('marker-import-file').onchange = loadMarkerFile;
+  document.getElementById('marker-import-button').onclick = importMarkers;
+  document.getElementById('midi-export-button').onclick = exportMidiMarkers;
+
   // Show UI only after everything is initialized.
   document.getElementById('app-body').style.display = 'flex';
 };
+
+/**
+ * @param {string} id
+ * @return {string} Trimmed value of the input element.
+ */
+function inputValue(id) {
+  return document.getElementById(id).value.trim();
+}
+
+/**
+ * @return {{frameRate: string, dropType: string}} Timecode standard of the workbook.
+ */
+function tcStdOptions() {
+  return {frameRate: inputValue('frame-rate'), dropType: inputValue('drop-type')};
+}
+
+/**
+ * @param {string} id Status list element.
+ * @param {!Array<string>} lines
+ * @param {boolean} isError
+ */
+function showStatus(id, lines, isError) {
+  const status = document.getElementById(id);
+  status.textContent = '';
+  for (const line of lines) {
+    const item = document.createElement('li');
+    item.textContent = line;
+    item.classList.toggle('is-error', isError);
+    status.appendChild(item);
+  }
+}
+
+/**
+ * Saves the entered timecode standard as the workbook default (or clears it if the
+ * frame rate is empty).
+ */
+async function saveTcStd() {
+  const statusId = 'tc-standard-status';
+  const {frameRate, dropType} = tcStdOptions();
+  try {
+    await saveDefaultTcStd(frameRate, dropType);
+    showStatus(statusId, [(frameRate === '') ?
+        'Cleared the workbook default timecode standard.' :
+        `Saved ${frameRate} ${dropType} as the workbook default timecode standard.`], false);
+  } catch (err) {
+    showStatus(statusId, [err.message], true);
+  }
+}
+
+/**
+ * @return {{frameRate: string, dropType: string}} Timecode standard entered at the top
+ *     of the task pane, or the workbook default if its frame rate is empty.
+ */
+function tcStdOrDefault() {
+  const tcStd = tcStdOptions();
+  if (tcStd.frameRate !== '') {
+    return tcStd;
+  }
+
+  const defaultTcStd = loadDefaultTcStd();
+  if (!defaultTcStd) {
+    throw new Error('enter a timecode standard (or save a workbook default) first');
+  }
+  return defaultTcStd;
+}
+
+/**
+ * Marks the selected cells as timecode in the entered standard: adds data validation
+ * (with an input message) and a highlight for invalid values, and names the cells (with
+ * the standard as the name's comment) for auditTcColumns.
+ */
+async function markTcColumns() {
+  const statusId = 'tc-columns-status';
+  try {
+    const tcStd = tcStdOrDefault();
+    const rules = tcValidationRules(tcStd);
+    await Excel.run(async (context) => {
+      const range = context.workbook.getSelectedRange();
+      range.load(['address', 'rowIndex', 'columnIndex']);
+      const names = context.workbook.names;
+      names.load(['items/name', 'items/formula']);
+      const conditionalFormats = range.conditionalFormats;
+      conditionalFormats.load('items/type');
+      await context.sync();
+
+      // Replace any earlier highlight rule (e.g. in a different standard).
+      const customFormats = conditionalFormats.items.filter(
+          (format) => format.type === Excel.ConditionalFormatType.custom);
+      customFormats.forEach((format) => format.custom.rule.load('formula'));
+      await context.sync();
+      customFormats.filter((format) => isHighlightFormula(format.custom.rule.formula))
+          .forEach((format) => format.delete());
+
+      // Formula rules are relative to the top-left cell of the range.
+      const cell = cellAddress(range.rowIndex, range.columnIndex);
+      // Update any existing formula, which may be from an earlier version of the add-in.
+      const validName = names.items.find((name) => name.name === rules.name);
+      if (validName) {
+        validName.formula = rules.formula;
+      } else {
+        names.add(rules.name, rules.formula);
+      }
+      range.dataValidation.clear();
+      range.dataValidation.rule = {custom: {formula: validationFormula(rules, cell)}};
+      range.dataValidation.prompt = {
+        showPrompt: true,
+        title: rules.promptTitle,
+        message: rules.promptMessage,
+      };
+      range.dataValidation.errorAlert = {
+        showAlert: true,
+        style: Excel.DataValidationAlertStyle.stop,
+        title: 'Invalid timecode',
+        message: rules.promptMessage,
+      };
+      const highlight = range.conditionalFormats.add(Excel.ConditionalFormatType.custom);
+      highlight.custom.rule.formula = highlightFormula(rules, cell);
+      highlight.custom.format.fill.color = WARNING_FILL_COLOR;
+
+      // Name the cells (replacing any earlier name of the same cells).
+      const relativeAddress = (formula) => formula.replace(/^=/, '').replace(/\$/g, '');
+      const columnNames = names.items.filter((name) =>
+        name.name.startsWith(TC_COLUMN_NAME_PREFIX));
+      columnNames.filter((name) => relativeAddress(name.formula) === range.address)
+          .forEach((name) => name.delete());
+      const columnNum = 1 + columnNames.reduce((num, name) =>
+        Math.max(num, Number(name.name.slice(TC_COLUMN_NAME_PREFIX.length)) || 0), 0);
+      names.add(`${TC_COLUMN_NAME_PREFIX}${columnNum}`, range, JSON.stringify(tcStd));
+      await context.sync();
+    });
+
+    showStatus(statusId,
+        [`Marked the selected cells as ${tcStd.frameRate} ${tcStd.dropType} timecode.`], false);
+  } catch (err) {
+    showStatus(statusId, [err.message], true);
+  }
+}
+
+/**
+ * Lists every invalid timecode cell of the marked timecode columns (with its error) in
+ * the audit sheet.
+ */
+async function auditTcColumns() {
+  const statusId = 'tc-columns-status';
+  try {
+    const {numColumns, rows, columnErrors} = await Excel.run(async (context) => {
+      const names = context.workbook.names;
+      names.load(['items/name', 'items/comment']);
+      await context.sync();
+
+      const columns = names.items.filter((name) => name.name.startsWith(TC_COLUMN_NAME_PREFIX))
+          .map((name) => ({name: name, range: name.getRangeOrNullObject()}));
+      await context.sync();
+
+      // Only the used part of each column (which may be on a deleted sheet).
+      const usedColumns = columns.filter((column) => !column.range.isNullObject).map((column) => {
+        const used = column.range.getIntersectionOrNullObject(
+            column.range.worksheet.getUsedRange());
+        used.load(['values', 'rowIndex', 'columnIndex']);
+        column.range.worksheet.load('name');
+        return Object.assign(column, {used: used});
+      });
+      await context.sync();
+
+      const rows = [['Sheet', 'Cell', 'Value', 'Error']];
+      const columnErrors = [];
+      for (const {name, range, used} of usedColumns) {
+        if (used.isNullObject) {
+          continue;
+        }
+        let tcStd;
+        try {
+          tcStd = parseTcStdComment(name.comment);
+        } catch (err) {
+          columnErrors.push(`${name.name} (${range.worksheet.name}): ${err.message}`);
+          continue;
+        }
+        for (const cell of auditTcValues(used.values, tcStd)) {
+          const address = cellAddress(used.rowIndex + cell.row, used.columnIndex + cell.col);
+          rows.push([range.worksheet.name, address, String(cell.value), cell.error]);
+        }
+      }
+
+      const oldSheet = context.workbook.worksheets.getItemOrNullObject(AUDIT_SHEET_NAME);
+      await context.sync();
+      if (!oldSheet.isNullObject) {
+        oldSheet.delete();
+      }
+      const sheet = context.workbook.worksheets.add(AUDIT_SHEET_NAME);
+      const listRange = sheet.getRangeByIndexes(0, 0, rows.length, rows[0].length);
+      listRange.numberFormat = rows.map((row) => row.map(() => '@'));
+      listRange.values = rows;
+      listRange.getRow(0).format.font.bold = true;
+      if (rows.length > 1) {
+        sheet.activate();
+      }
+      await context.sync();
+      return {numColumns: usedColumns.length, rows: rows, columnErrors: columnErrors};
+    });
+
+    const numInvalid = rows.length - 1;  // Not the header.
+    showStatus(statusId, [`Found ${numInvalid} invalid timecode cells in ${numColumns} marked ` +
+        `columns (listed in the ${AUDIT_SHEET_NAME} sheet).`, ...columnErrors],
+        (numInvalid > 0) || (columnErrors.length > 0));
+  } catch (err) {
+    showStatus(statusId, [err.message], true);
+  }
+}
+
+/**
+ * Saves the timecode standard (and mode) that the Convert Timecode Standard command
+ * converts to.
+ */
+async function saveConvertTo() {
+  const statusId = 'convert-selection-status';
+  const frameRate = inputValue('convert-frame-rate');
+  const dropType = inputValue('convert-drop-type');
+  try {
+    await saveConvertToTcStd(frameRate, dropType, inputValue('convert-mode'));
+    showStatus(statusId, [`Convert Timecode Standard will convert to ${frameRate} ${dropType}.`],
+        false);
+  } catch (err) {
+    showStatus(statusId, [err.message], true);
+  }
+}
+
+/**
+ * @return {CalculatorOptions}
+ */
+function calcOptions() {
+  return Object.assign(tcStdOptions(), {filmFormat: inputValue('calc-film-format')});
+}
+
+/**
+ * Updates the other calculator fields from the value entered in the given field.
+ * @param {string} field
+ */
+function calculate(field) {
+  try {
+    calcResult = calculateFields(field, inputValue(`calc-${field}`), calcOptions());
+    showCalcResult(field);
+    showStatus('calculator-status', [], false);
+  } catch (err) {
+    calcResult = null;
+    showStatus('calculator-status', [err.message], true);
+  }
+}
+
+/**
+ * Recalculates from the last entered field (e.g. after the timecode standard changes).
+ */
+function recalculate() {
+  if (calcResult) {
+    calculate(calcResult.field);
+  }
+}
+
+/**
+ * @param {string} operation "add" or "subtract".
+ */
+function applyCalcOperation(operation) {
+  if (!calcResult) {
+    showStatus('calculator-status', ['enter a valid value first'], true);
+    return;
+  }
+
+  try {
+    calcResult = applyOperation(calcResult, operation, inputValue('calc-duration'), calcOptions());
+    showCalcResult('');
+    showStatus('calculator-status', [], false);
+  } catch (err) {
+    showStatus('calculator-status', [err.message], true);
+  }
+}
+
+/**
+ * @param {string} skipField Field to leave as entered (or empty to update every field).
+ */
+function showCalcResult(skipField) {
+  for (const field of CALCULATOR_FIELDS) {
+    if (field !== skipField) {
+      document.getElementById(`calc-${field}`).value = String(calcResult.values[field]);
+    }
+  }
+}
+
+/**
+ * Inserts the chosen calculator field's value (or the TIMECODE.* formula that
+ * calculates it) into the active cell.
+ * @param {boolean} asFormula
+ */
+async function insertCalcResult(asFormula) {
+  const statusId = 'calculator-status';
+  const field = inputValue('calc-insert-field');
+  try {
+    if (!calcResult) {
+      throw new Error('enter a valid value first');
+    }
+    const options = calcOptions();
+    const value = calcResult.values[field];
+    const formula = asFormula ? fieldFormula(calcResult, field, options) : '';
+    if (value === '') {
+      throw new Error('choose a film format for feet+frames');
+    }
+
+    await Excel.run(async (context) => {
+      const cell = context.workbook.getActiveCell();
+      if (asFormula) {
+        cell.formulas = [[formula]];
+      } else {
+        // Write text as text, so that Excel doesn't convert timecode into a time of day.
+        if (!isNumberField(field)) {
+          cell.numberFormat = [['@']];
+        }
+        cell.values = [[value]];
+      }
+      await context.sync();
+    });
+    showStatus(statusId, [], false);
+  } catch (err) {
+    showStatus(statusId, [err.message], true);
+  }
+}
+
+/**
+ * Loads the chosen marker list file into the import text area.
+ * @param {!Event} event
+ */
+function loadMarkerFile(event) {
+  const file = event.target.files[0];
+  if (!file) {
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    document.getElementById('marker-import-text').value = reader.result;
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Imports the pasted marker list as rows of name, timecode, comment, and warning at
+ * the selected cell, highlighting rows with a warning.
+ */
+async function importMarkers() {
+  const statusId = 'marker-import-status';
+  try {
+    const expected = tcStdOptions();
+    const markerList = parseMarkerList(document.getElementById('marker-import-text').value);
+    const mismatch = checkSessionStandard(markerList.session, expected);
+    if (mismatch !== '') {
+      showStatus(statusId, [`Not imported: ${mismatch}.`], true);
+      return;
+    }
+
+    const rows = markerTableRows(markerList.markers, markerList.session || expected);
+    const numWarnings = rows.filter((row) => row[3] !== '').length - 1;  // Not the header.
+    await Excel.run(async (context) => {
+      const startCell = context.workbook.getActiveCell();
+      const range = startCell.getResizedRange(rows.length - 1, rows[0].length - 1);
+
+      // Write as text, so that Excel doesn't convert timecode into a time of day.
+      range.numberFormat = rows.map((row) => row.map(() => '@'));
+      range.values = rows;
+      range.getRow(0).format.font.bold = true;
+      rows.forEach((row, idx) => {
+        if ((idx > 0) && (row[3] !== '')) {
+          range.getRow(idx).format.fill.color = WARNING_FILL_COLOR;
+        }
+      });
+      await context.sync();
+    });
+
+    showStatus(statusId, [
+      `Imported ${rows.length - 1} markers from ${markerList.source}.`,
+      `${numWarnings} rows have warnings (highlighted).`,
+    ], numWarnings > 0);
+  } catch (err) {
+    showStatus(statusId, [err.message], true);
+  }
+}
+
+/**
+ * Exports the markers in the selected range as a downloadable .mid file.
+ */
+async function exportMidiMarkers() {
+  const statusId = 'midi-export-status';
+  const options = Object.assign(tcStdOptions(), {
+    startTc: inputValue('midi-start-tc'),
+    bpm: inputValue('midi-bpm'),
+    meter: inputValue('midi-meter'),
+  });
+
+  try {
+    const rows = await Excel.run(async (context) => {
+      const range = context.workbook.getSelectedRange();
+      range.load('values');
+      await context.sync();
+      return range.values;
+    });
+
+    const {markers, errors} = readMarkerRows(rows, options);
+    if (errors.length > 0) {
+      showStatus(statusId, errors, true);
+      return;
+    }
+
+    const bytes = markersToMidi(markers, options);
+    downloadFile(new Blob([bytes], {type: 'audio/midi'}), 'markers.mid');
+    showStatus(statusId, [`Exported ${markers.length} markers.`], false);
+  } catch (err) {
+    showStatus(statusId, [err.message], true);
+  }
+}
+
+/**
+ * @param {!Blob} blob
+ * @param {string} filename
+ */
+function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_REVOKE_DELAY_MS);
+}
@@ -0,0 +1,189 @@
+// Excel data validation and conditional formatting for timecode columns. Custom
+// functions can't be used in these rules, so validity is checked by a native LAMBDA
+// formula (added as a workbook name) with the same checks as the custom functions.
+
+const {TC_ERROR, TC_TO_FRAMEIDX} = require('../functions/functions.js');
+
+/**
+ * Prefix of workbook names of the LAMBDA validity formulas (e.g. TIMECODE_VALID_30DF).
+ * @private
+ */
+const VALID_TC_NAME_PREFIX_ = 'TIMECODE_VALID_';
+
+/**
+ * Prefix of workbook names of marked timecode columns (e.g. TIMECODE_COLUMN_1), which
+ * have their timecode standard as the name's comment.
+ */
+const TC_COLUMN_NAME_PREFIX = 'TIMECODE_COLUMN_';
+
+/**
+ * Timecode standards above this frame rate use 3 digits for FF (and don't support
+ * numerical timecode).
+ * @private
+ */
+const MAX_2_DIGIT_FF_FPS_ = 100;
+
+/**
+ * @typedef {{
+ *   frameRate: string,
+ *   dropType: string,
+ * }} TcStdOptions
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   formula: string,
+ *   promptTitle: string,
+ *   promptMessage: string,
+ * }} TcValidationRules Workbook name and LAMBDA formula that checks a timecode value
+ *     (TRUE if valid), and the data validation input message.
+ */
+
+/**
+ * @param {TcStdOptions} tcStd
+ * @return {TcValidationRules}
+ */
+function tcValidationRules(tcStd) {
+  const tcErr = TC_ERROR('00:00:00:00', tcStd.frameRate, tcStd.dropType);
+  if (tcErr !== '') {
+    throw new Error(tcErr.replace(/^Error: /, ''));
+  }
+
+  // Only the timecode (integer) frame rate and dropped frames affect which labels are
+  // valid (e.g. 23.976 and 24.00 timecode are the same).
+  const intFps = TC_TO_FRAMEIDX('00:00:01:00', tcStd.frameRate, tcStd.dropType);
+  const framesPer10Mins = TC_TO_FRAMEIDX('00:10:00:00', tcStd.frameRate, tcStd.dropType);
+  const framesPerDroppedBlock = ((600 * intFps) - framesPer10Mins) / 9;
+  const isDrop = (framesPerDroppedBlock > 0);
+
+  const maxFf = String(intFps - 1).padStart(2, '0');
+  const ffDigits = (intFps > MAX_2_DIGIT_FF_FPS_) ? 'FFF' : 'FF';
+  let promptMessage = `${tcStd.frameRate} ${tcStd.dropType} timecode as HH:MM:SS:${ffDigits} ` +
+      `text` + ((intFps > MAX_2_DIGIT_FF_FPS_) ? '' : ' (or an HHMMSSFF number)') +
+      `, with frames 00-${maxFf}.`;
+  if (isDrop) {
+    const lastDropped = String(framesPerDroppedBlock - 1).padStart(2, '0');
+    promptMessage += ` Frames 00-${lastDropped} are dropped at the start of each minute ` +
+        'except every 10th, and ; separators may be used.';
+  }
+
+  return {
+    name: `${VALID_TC_NAME_PREFIX_}${intFps}${isDrop ? 'DF' : 'NDF'}`,
+    formula: validTcLambda_(intFps, framesPerDroppedBlock),
+    promptTitle: 'Timecode',
+    promptMessage: promptMessage,
+  };
+}
+
+/**
+ * @param {TcValidationRules} rules
+ * @param {string} cell Relative address of the top-left cell of the rule's range.
+ * @return {string} Data validation formula, TRUE if the cell's value is valid.
+ */
+function validationFormula(rules, cell) {
+  return `=${rules.name}(${cell})`;
+}
+
+/**
+ * @param {TcValidationRules} rules
+ * @param {string} cell Relative address of the top-left cell of the rule's range.
+ * @return {string} Conditional format formula, TRUE if the cell has an invalid value.
+ */
+function highlightFormula(rules, cell) {
+  return `=AND(${cell}<>"",NOT(${rules.name}(${cell})))`;
+}
+
+/**
+ * @param {string} formula Conditional format formula.
+ * @return {boolean} Whether it's a highlightFormula.
+ */
+function isHighlightFormula(formula) {
+  return formula.includes(VALID_TC_NAME_PREFIX_);
+}
+
+/**
+ * @param {string} comment Comment of a marked timecode column's workbook name.
+ * @return {TcStdOptions}
+ * @throws {Error} if the comment isn't a timecode standard (e.g. if edited by hand).
+ */
+function parseTcStdComment(comment) {
+  let tcStd;
+  try {
+    tcStd = JSON.parse(comment);
+  } catch (err) {
+    tcStd = null;
+  }
+  if (!tcStd || (typeof tcStd.frameRate !== 'string') ||
+      !['string', 'undefined'].includes(typeof tcStd.dropType)) {
+    throw new Error(`invalid timecode standard (mark the column again): "${comment}"`);
+  }
+  return {frameRate: tcStd.frameRate, dropType: tcStd.dropType};
+}
+
+/**
+ * Returns the errors (using the same rules as TC_ERROR) of invalid timecode values.
+ * @param {!Array<!Array<*>>} values Values of a marked timecode column.
+ * @param {TcStdOptions} tcStd
+ * @return {!Array<{row: number, col: number, value: *, error: string}>}
+ */
+function auditTcValues(values, tcStd) {
+  const invalid = [];
+  values.forEach((rowValues, row) => rowValues.forEach((value, col) => {
+    if (value === '') {
+      return;
+    }
+    const error = TC_ERROR(value, tcStd.frameRate, tcStd.dropType);
+    if (error !== '') {
+      invalid.push({row: row, col: col, value: value, error: error.replace(/^Error: /, '')});
+    }
+  }));
+  return invalid;
+}
+
+/**
+ * Returns a LAMBDA formula of a timecode value that is TRUE if valid, with the same
+ * checks as validateTc_ in the custom functions (with the default overflow and
+ * subframes): HH:MM:SS:FF text (with an optional .sf subframe field, and FFF only
+ * above MAX_2_DIGIT_FF_FPS_), or an integer HHMMSSFF number, with MM and SS 00-59, FF
+ * less than the frame rate, no dropped frame numbers, and semicolon separators only in
+ * drop frame.
+ * @param {number} intFps
+ * @param {number} framesPerDroppedBlock 0 if not a drop frame standard.
+ * @return {string}
+ * @private
+ */
+function validTcLambda_(intFps, framesPerDroppedBlock) {
+  const isDrop = (framesPerDroppedBlock > 0);
+  const isNumberOk = (intFps <= MAX_2_DIGIT_FF_FPS_);
+  const lenOk = isNumberOk ? 'LEN(b)=11' : 'OR(LEN(b)=11,LEN(b)=12)';
+  const sepOk = (pos) => `ISNUMBER(FIND(MID(b,${pos},1),":;"))`;
+  const checks = [
+    `ok,IF(n,AND(${isNumberOk ? 'v=INT(v),v>=0,v<=99999999' : 'FALSE'}),` +
+        `AND(${lenOk},LEN(s)=IF(p>LEN(t),0,2),${sepOk(3)},${sepOk(6)},` +
+        `${sepOk(9)},d=TEXT(--d,REPT("0",LEN(d)))${isDrop ? '' : ',ISERROR(FIND(";",t))'}))`,
+    'mm,IF(n,MOD(INT(v/10000),100),--MID(b,4,2))',
+    'ss,IF(n,MOD(INT(v/100),100),--MID(b,7,2))',
+    'f,IF(n,MOD(v,100),--MID(b,10,3))',
+  ];
+  const droppedCheck = isDrop ? `,OR(ss>0,MOD(mm,10)=0,f>=${framesPerDroppedBlock})` : '';
+  return '=LAMBDA(v,IFERROR(LET(' +
+      'n,ISNUMBER(v),' +
+      't,IF(n,"",TRIM(v)),' +
+      'p,IFERROR(FIND(".",t),LEN(t)+1),' +
+      'b,LEFT(t,p-1),' +
+      's,MID(t,p+1,99),' +
+      'd,MID(b,1,2)&MID(b,4,2)&MID(b,7,2)&MID(b,10,3)&s,' +
+      `${checks.join(',')},` +
+      `AND(ok,mm<60,ss<60,f<${intFps}${droppedCheck})),FALSE))`;
+}
+
+module.exports = {
+  TC_COLUMN_NAME_PREFIX: TC_COLUMN_NAME_PREFIX,
+  auditTcValues: auditTcValues,
+  highlightFormula: highlightFormula,
+  isHighlightFormula: isHighlightFormula,
+  parseTcStdComment: parseTcStdComment,
+  tcValidationRules: tcValidationRules,
+  validationFormula: validationFormula,
+};
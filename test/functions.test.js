@@ -0,0 +1,221 @@
+/**
+ * Round trip property tests for the timecode custom functions.
+ *
+ * Run with `npm test` (uses the built-in Node.js test runner).
+ */
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+
+// Minimal stand-in for the Office custom functions runtime.
+global.CustomFunctions = {
+  Error: class extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+  ErrorCode: {invalidValue: '#VALUE!', notAvailable: '#N/A'},
+};
+
+const tc = require('../src/functions/functions.js');
+
+/** Every supported frame rate, with its exact frame duration. */
+const FRAME_RATES = tc.FRAME_RATES_;
+
+/** Every frame rate that has a drop frame variant. */
+const DROP_FRAME_RATES = Object.keys(tc.DROP_FRAMES_PER_10MINS_);
+
+const SNAPS = ['LEFT', 'RIGHT', 'NEAREST'];
+
+const RANDOM_SAMPLES_PER_STANDARD = 200;
+
+/**
+ * Deterministic pseudorandom numbers in [0, 1) (mulberry32), so failures reproduce.
+ * @param {number} seed
+ * @return {function(): number}
+ */
+function makeRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Frame indexes to check for a timecode standard: the first frames, the frames around every
+ * minute boundary in the first 10 minutes (where drop frame labels skip), and random frames
+ * up to 23 hours.
+ * @param {string} frameRate
+ * @param {string} dropType
+ * @return {number[]}
+ */
+function sampleFrameIdxs(frameRate, dropType) {
+  const rate = FRAME_RATES[frameRate];
+  const intFps = Math.round(rate.frames / rate.perWallSecs);
+  const idxs = [0, 1, 2, intFps - 1, intFps];
+  for (let min = 0; min < 10; ++min) {
+    const lastLabel = `00:0${min}:59:${intFps - 1}`;
+    const lastIdx = tc.TC_TO_FRAMEIDX(lastLabel, frameRate, dropType);
+    idxs.push(lastIdx - 1, lastIdx, lastIdx + 1, lastIdx + 2);
+  }
+
+  const random = makeRandom(idxs.length * intFps + ((dropType === 'drop') ? 1 : 0));
+  const maxIdx = 23 * 60 * 60 * intFps;
+  for (let i = 0; i < RANDOM_SAMPLES_PER_STANDARD; ++i) {
+    idxs.push(Math.floor(random() * maxIdx));
+  }
+  return idxs;
+}
+
+for (const frameRate of Object.keys(FRAME_RATES)) {
+  const dropTypes = DROP_FRAME_RATES.includes(frameRate) ? ['non-drop', 'drop'] : ['non-drop'];
+
+  for (const dropType of dropTypes) {
+    describe(`${frameRate} ${dropType}`, () => {
+      const rate = FRAME_RATES[frameRate];
+      const frameSecs = rate.perWallSecs / rate.frames;
+      const frameIdxs = sampleFrameIdxs(frameRate, dropType);
+
+      it('converts frame index -> TC -> frame index', () => {
+        for (const frameIdx of frameIdxs) {
+          const timecode = tc.FRAMEIDX_TO_TC(frameIdx, frameRate, dropType);
+          assert.equal(tc.TC_TO_FRAMEIDX(timecode, frameRate, dropType), frameIdx, timecode);
+        }
+      });
+
+      it('gives the same TC for the ratio and numeric frame rate', () => {
+        const ratio = `${rate.frames}/${rate.perWallSecs}`;
+        for (const frameIdx of frameIdxs) {
+          const timecode = tc.FRAMEIDX_TO_TC(frameIdx, frameRate, dropType);
+          assert.equal(tc.FRAMEIDX_TO_TC(frameIdx, ratio, dropType), timecode, ratio);
+          assert.equal(tc.FRAMEIDX_TO_TC(frameIdx, Number(frameRate), dropType), timecode);
+        }
+      });
+
+      it('converts TC -> wall secs -> the same TC and frame index', () => {
+        for (const frameIdx of frameIdxs) {
+          const timecode = tc.FRAMEIDX_TO_TC(frameIdx, frameRate, dropType);
+          const wallSecs = tc.TC_TO_WALL_SECS(timecode, frameRate, dropType);
+          assert.equal(tc.FRAMEIDX_TO_WALL_SECS(frameIdx, frameRate, dropType), wallSecs);
+
+          for (const snap of SNAPS) {
+            const msg = `${timecode} (${wallSecs} secs) ${snap}`;
+            assert.equal(
+                tc[`WALL_SECS_TO_TC_${snap}`](wallSecs, frameRate, dropType), timecode, msg);
+            assert.equal(
+                tc[`WALL_SECS_TO_FRAMEIDX_${snap}`](wallSecs, frameRate, dropType), frameIdx,
+                msg);
+            assert.equal(
+                tc[`WALL_SECS_TO_FRAMEIDX_${snap}`](-wallSecs, frameRate, dropType),
+                -frameIdx || 0, `-${msg}`);
+          }
+        }
+      });
+
+      it('snaps wall secs within the default tolerance to the exact frame', () => {
+        for (const frameIdx of frameIdxs) {
+          const wallSecs = tc.FRAMEIDX_TO_WALL_SECS(frameIdx, frameRate, dropType);
+          for (const snap of SNAPS) {
+            const fn = tc[`WALL_SECS_TO_FRAMEIDX_${snap}`];
+            assert.equal(fn(wallSecs + 1e-10, frameRate, dropType), frameIdx, `${snap} +`);
+            assert.equal(fn(wallSecs - 1e-10, frameRate, dropType), frameIdx, `${snap} -`);
+          }
+
+          const leftFn = tc.WALL_SECS_TO_FRAMEIDX_LEFT;
+          const rightFn = tc.WALL_SECS_TO_FRAMEIDX_RIGHT;
+          assert.equal(leftFn(wallSecs - 1e-6, frameRate, dropType, 0), frameIdx - 1);
+          assert.equal(rightFn(wallSecs + 1e-6, frameRate, dropType, 0), frameIdx + 1);
+        }
+      });
+
+      it('rounds wall secs between frames LEFT, RIGHT and NEAREST', () => {
+        for (const frameIdx of frameIdxs) {
+          const wallSecs = tc.FRAMEIDX_TO_WALL_SECS(frameIdx, frameRate, dropType);
+          const nextTc = tc.FRAMEIDX_TO_TC(frameIdx + 1, frameRate, dropType);
+          const timecode = tc.FRAMEIDX_TO_TC(frameIdx, frameRate, dropType);
+
+          for (const fraction of [0.25, 0.75]) {
+            const betweenSecs = wallSecs + (fraction * frameSecs);
+            const nearestTc = (fraction < 0.5) ? timecode : nextTc;
+            const msg = `${timecode} + ${fraction} frame`;
+            assert.equal(tc.WALL_SECS_TO_TC_LEFT(betweenSecs, frameRate, dropType), timecode, msg);
+            assert.equal(tc.WALL_SECS_TO_TC_RIGHT(betweenSecs, frameRate, dropType), nextTc, msg);
+            assert.equal(
+                tc.WALL_SECS_TO_TC_NEAREST(betweenSecs, frameRate, dropType), nearestTc, msg);
+          }
+        }
+      });
+
+      it('converts TC with subframes -> wall secs -> the same TC', () => {
+        const random = makeRandom(frameIdxs.length);
+        for (const frameIdx of frameIdxs) {
+          const subframe = String(Math.floor(random() * 100)).padStart(2, '0');
+          const timecode = `${tc.FRAMEIDX_TO_TC(frameIdx, frameRate, dropType)}.${subframe}`;
+          const wallSecs = tc.TC_TO_WALL_SECS(timecode, frameRate, dropType);
+          for (const snap of SNAPS) {
+            assert.equal(
+                tc[`WALL_SECS_TO_TC_SUBFRAMES_${snap}`](wallSecs, frameRate, dropType), timecode,
+                `${timecode} ${snap}`);
+          }
+        }
+      });
+    });
+  }
+}
+
+describe('toleranceSecs', () => {
+  it('snaps within the given tolerance', () => {
+    assert.equal(tc.WALL_SECS_TO_FRAMEIDX_RIGHT(1.0400000001, '50.00', 'non-drop'), 52);
+    assert.equal(tc.WALL_SECS_TO_FRAMEIDX_RIGHT(1.0400000001, '50.00', 'non-drop', 0), 53);
+    assert.equal(tc.WALL_SECS_TO_FRAMEIDX_LEFT(1.049, '50.00', 'non-drop', 0.0099), 52);
+    assert.equal(tc.WALL_SECS_TO_FRAMEIDX_RIGHT(1.031, '50.00', 'non-drop', 0.0099), 52);
+  });
+
+  it('rejects half a frame or more', () => {
+    for (const toleranceSecs of [0.01, 0.5, 1]) {
+      assert.throws(
+          () => tc.WALL_SECS_TO_FRAMEIDX_LEFT(1.05, '50.00', 'non-drop', toleranceSecs),
+          /toleranceSecs must be less than half a frame/);
+    }
+    assert.throws(
+        () => tc.WALL_SECS_TO_TC_SUBFRAMES_LEFT(1.05, '50.00', 'non-drop', undefined, 100, 1e-4),
+        /toleranceSecs must be less than half a subframe/);
+    assert.throws(
+        () => tc.WALL_SECS_TO_SAMPLES_LEFT(1, 48000, 2e-5),
+        /toleranceSecs must be less than half a sample/);
+  });
+
+  it('rejects negative and non-numeric values', () => {
+    for (const toleranceSecs of [-1, 'x', NaN, Infinity]) {
+      assert.throws(
+          () => tc.WALL_SECS_TO_FRAMEIDX_LEFT(1.05, '50.00', 'non-drop', toleranceSecs),
+          /toleranceSecs must be a non-negative number/);
+    }
+  });
+});
+
+describe('samples', () => {
+  for (const sampleRate of [44100, 47952, 48000, 88200, 96000, 192000]) {
+    it(`converts samples -> wall secs -> samples at ${sampleRate} Hz`, () => {
+      const random = makeRandom(sampleRate);
+      for (let i = 0; i < 1000; ++i) {
+        const samples = Math.floor(random() * 24 * 60 * 60 * sampleRate);
+        const wallSecs = tc.SAMPLES_TO_WALL_SECS(samples, sampleRate);
+        assert.equal(tc.WALL_SECS_TO_SAMPLES_LEFT(wallSecs, sampleRate), samples);
+        assert.equal(tc.WALL_SECS_TO_SAMPLES_RIGHT(wallSecs, sampleRate), samples);
+      }
+    });
+  }
+});
+
+describe('TC_ERROR', () => {
+  it('accepts 3-digit FF only above 100 fps', () => {
+    assert.match(tc.TC_ERROR('01:00:00:023', '24.00', 'non-drop'), /FF must be 2 digits/);
+    assert.match(tc.TC_ERROR('01:00:00:099', '100.00', 'non-drop'), /FF must be 2 digits/);
+    assert.equal(tc.TC_ERROR('01:00:00:23', '24.00', 'non-drop'), '');
+    assert.equal(tc.TC_ERROR('01:00:00:119', '120.00', 'non-drop'), '');
+    assert.equal(tc.TC_ERROR('01:00:00:23', '120.00', 'non-drop'), '');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for the task pane's MIDI marker export.
+ *
+ * Run with `npm test` (uses the built-in Node.js test runner).
+ */
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+
+const {markersToMidi, readMarkerRows} = require('../src/taskpane/midi.js');
+
+/**
+ * @param {!Array<string>} timecodes
+ * @param {Object} options
+ * @return {!Uint8Array}
+ */
+function exportMidi(timecodes, options) {
+  const rows = timecodes.map((timecode, idx) => [`Cue ${idx + 1}`, timecode, '']);
+  const {markers, errors} = readMarkerRows(rows, options);
+  assert.deepEqual(errors, []);
+  return markersToMidi(markers, options);
+}
+
+/**
+ * @param {!Uint8Array} bytes Contents of a .mid file.
+ * @return {!Object<string, number>} Fields of the SMPTE offset meta event (FF 54).
+ */
+function decodeSmpteOffset(bytes) {
+  const idx = bytes.findIndex((b, i) => (b === 0xFF) && (bytes[i + 1] === 0x54));
+  assert.ok(idx >= 0, 'no SMPTE offset event');
+  assert.equal(bytes[idx + 2], 5);
+  const [hours, mm, ss, ff, fractionalFf] = bytes.slice(idx + 3, idx + 8);
+  return {rateCode: hours >> 5, hh: hours & 0x1F, mm: mm, ss: ss, ff: ff,
+    fractionalFf: fractionalFf};
+}
+
+describe('markersToMidi SMPTE offset', () => {
+  it('writes the start timecode and rate code', () => {
+    const options = {frameRate: '24.00', dropType: 'non-drop', startTc: '01:00:00:00'};
+    assert.deepEqual(decodeSmpteOffset(exportMidi(['01:00:10:00'], options)),
+        {rateCode: 0, hh: 1, mm: 0, ss: 0, ff: 0, fractionalFf: 0});
+
+    const dfOptions = {frameRate: '29.97', dropType: 'drop', startTc: '23:59:00;02'};
+    assert.deepEqual(decodeSmpteOffset(exportMidi(['23:59:10;00'], dfOptions)),
+        {rateCode: 2, hh: 23, mm: 59, ss: 0, ff: 2, fractionalFf: 0});
+
+    const fastOptions = {frameRate: '50.00', dropType: 'non-drop', startTc: '10:00:00:03'};
+    assert.deepEqual(decodeSmpteOffset(exportMidi(['10:00:10:00'], fastOptions)),
+        {rateCode: 1, hh: 10, mm: 0, ss: 0, ff: 1, fractionalFf: 50});
+  });
+
+  it('defaults to the hour of the earliest marker', () => {
+    const options = {frameRate: '25.00', dropType: 'non-drop'};
+    assert.deepEqual(decodeSmpteOffset(exportMidi(['02:10:00:00', '01:30:00:00'], options)),
+        {rateCode: 1, hh: 1, mm: 0, ss: 0, ff: 0, fractionalFf: 0});
+  });
+
+  it('rejects start hours above 23', () => {
+    const options = {frameRate: '24.00', dropType: 'non-drop', startTc: '33:00:00:00'};
+    assert.throws(() => exportMidi(['33:00:10:00'], options),
+        /start timecode HH must be in range 00-23/);
+
+    const autoOptions = {frameRate: '24.00', dropType: 'non-drop'};
+    assert.throws(() => exportMidi(['24:10:00:00'], autoOptions),
+        /start timecode HH must be in range 00-23/);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Range calls from outside the custom functions runtime (e.g. the task pane), where
+ * CustomFunctions is not defined.
+ *
+ * Run with `npm test` (each test file runs in its own process).
+ */
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+
+const tc = require('../src/functions/functions.js');
+
+describe('range calls without CustomFunctions', () => {
+  it('returns an Error value for each invalid cell', () => {
+    assert.equal(typeof CustomFunctions, 'undefined');
+
+    const results = tc.TC_TO_FRAMEIDX([['00:00:01:00'], ['bad'], ['']], '24.00', 'non-drop');
+    assert.equal(results[0][0], 24);
+    assert.ok(results[1][0] instanceof Error);
+    assert.match(results[1][0].message, /HH:MM:SS:FF/);
+    assert.equal(results[2][0], '');
+  });
+
+  it('requires a frameRate without a workbook default', () => {
+    assert.throws(() => tc.TC_TO_FRAMEIDX('00:00:01:00'), /frameRate is required/);
+  });
+});
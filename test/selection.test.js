@@ -0,0 +1,26 @@
+/**
+ * Tests for the ribbon commands' in-place selection conversions.
+ *
+ * Run with `npm test` (uses the built-in Node.js test runner).
+ */
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+
+const {isConvertedValue} = require('../src/commands/selection.js');
+
+describe('isConvertedValue', () => {
+  const cases = [
+    {value: '01:00:00:00', result: '01:00:00:00', expected: true},
+    {value: 86400, result: 86400, expected: true},
+    {value: '86400', result: 86400, expected: true},
+    {value: 86400, result: '86400', expected: true},
+    {value: '01:00:00:01', result: '01:00:00:00', expected: false},
+    {value: 86401, result: 86400, expected: false},
+    {value: '', result: '01:00:00:00', expected: false},
+  ];
+  for (const {value, result, expected} of cases) {
+    it(`${JSON.stringify(value)} vs result ${JSON.stringify(result)}`, () => {
+      assert.equal(isConvertedValue(value, result), expected);
+    });
+  }
+});
@@ -0,0 +1,474 @@
+/**
+ * Checks the timecode validation LAMBDA formulas (evaluated by a small Excel formula
+ * interpreter below) against TC_ERROR, for a table of timecode values.
+ *
+ * Run with `npm test` (uses the built-in Node.js test runner).
+ */
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+
+const {TC_ERROR} = require('../src/functions/functions.js');
+const {highlightFormula, parseTcStdComment, tcValidationRules} =
+    require('../src/taskpane/validation.js');
+
+//==================================================================================================
+// Excel formula interpreter
+//==================================================================================================
+
+// Supports only the functions and operators that the validation formulas use, with
+// Excel's evaluation rules for them (lazy IF and IFERROR, error propagation, text and
+// number coercion, and mixed type comparison). Text is only coerced to a number if it
+// is a plain decimal number (Excel also accepts e.g. dates and percentages).
+
+/** An Excel error value (e.g. #VALUE!). */
+class ExcelError {
+  /** @param {string} code */
+  constructor(code) {
+    this.code = code;
+  }
+}
+
+const VALUE_ERR = new ExcelError('#VALUE!');
+const DIV_ERR = new ExcelError('#DIV/0!');
+
+const TOKEN_FMT = new RegExp('\\s*(?:' + [
+  /([0-9]+(?:\.[0-9]+)?)/,  // Number.
+  /"((?:[^"]|"")*)"/,  // Text.
+  /([A-Za-z_][A-Za-z0-9_.]*)/,  // Function or name.
+  /(<>|<=|>=|[=<>&+\-*/(),])/,  // Operator.
+].map((part) => part.source).join('|') + ')', 'y');
+
+const NUMERIC_TEXT_FMT = /^\s*[+-]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?\s*$/;
+
+/**
+ * @param {string} formula
+ * @return {!Array<{type: string, value: (string|number)}>}
+ */
+function tokenize(formula) {
+  const tokens = [];
+  TOKEN_FMT.lastIndex = 0;
+  while (TOKEN_FMT.lastIndex < formula.length) {
+    const start = TOKEN_FMT.lastIndex;
+    const matches = TOKEN_FMT.exec(formula);
+    if (!matches) {
+      throw new Error(`can't parse formula at: ${formula.slice(start)}`);
+    }
+    if (matches[1] !== undefined) {
+      tokens.push({type: 'num', value: Number(matches[1])});
+    } else if (matches[2] !== undefined) {
+      tokens.push({type: 'str', value: matches[2].replace(/""/g, '"')});
+    } else if (matches[3] !== undefined) {
+      tokens.push({type: 'ident', value: matches[3].toUpperCase()});
+    } else {
+      tokens.push({type: 'op', value: matches[4]});
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses a formula (with or without a leading "=") into an expression tree.
+ * @param {string} formula
+ * @return {!Object}
+ */
+function parseFormula(formula) {
+  const tokens = tokenize(formula.replace(/^=/, ''));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek() && (peek().type === 'op') && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) {
+      throw new Error(`expected "${op}" at token ${pos}`);
+    }
+    ++pos;
+  };
+
+  const binaryLevels = [['=', '<>', '<', '>', '<=', '>='], ['&'], ['+', '-'], ['*', '/']];
+  const parseLevel = (level) => {
+    if (level === binaryLevels.length) {
+      return parseUnary();
+    }
+    let left = parseLevel(level + 1);
+    while (isOp(...binaryLevels[level])) {
+      const op = tokens[pos++].value;
+      left = {type: 'binary', op: op, left: left, right: parseLevel(level + 1)};
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-', '+')) {
+      const op = tokens[pos++].value;
+      return {type: 'unary', op: op, arg: parseUnary()};
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if ((token.type === 'num') || (token.type === 'str')) {
+      return {type: 'literal', value: token.value};
+    }
+    if ((token.type === 'op') && (token.value === '(')) {
+      const expr = parseLevel(0);
+      expect(')');
+      return expr;
+    }
+    if (token.type !== 'ident') {
+      throw new Error(`unexpected "${token.value}" at token ${pos - 1}`);
+    }
+    if (isOp('(')) {
+      ++pos;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(parseLevel(0));
+        while (isOp(',')) {
+          ++pos;
+          args.push(parseLevel(0));
+        }
+      }
+      expect(')');
+      return {type: 'call', name: token.value, args: args};
+    }
+    if ((token.value === 'TRUE') || (token.value === 'FALSE')) {
+      return {type: 'literal', value: (token.value === 'TRUE')};
+    }
+    return {type: 'name', name: token.value};
+  };
+
+  const expr = parseLevel(0);
+  if (pos !== tokens.length) {
+    throw new Error(`unexpected "${tokens[pos].value}" at token ${pos}`);
+  }
+  return expr;
+}
+
+/**
+ * @param {*} value
+ * @return {number|!ExcelError}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return NUMERIC_TEXT_FMT.test(value) ? Number(value) : VALUE_ERR;
+}
+
+/**
+ * @param {*} value
+ * @return {string}
+ */
+function toText(value) {
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return String(value);
+}
+
+/**
+ * @param {*} value
+ * @return {boolean|!ExcelError}
+ */
+function toBool(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return value !== 0;
+  }
+  const upper = value.toUpperCase();
+  return (upper === 'TRUE') || ((upper === 'FALSE') ? false : VALUE_ERR);
+}
+
+/**
+ * Excel comparison order: numbers < text (case-insensitive) < booleans.
+ * @param {*} a
+ * @param {*} b
+ * @return {number} Negative, zero, or positive.
+ */
+function compare(a, b) {
+  const typeOrder = (v) => ['number', 'string', 'boolean'].indexOf(typeof v);
+  if (typeOrder(a) !== typeOrder(b)) {
+    return typeOrder(a) - typeOrder(b);
+  }
+  if (typeof a === 'string') {
+    a = a.toUpperCase();
+    b = b.toUpperCase();
+  }
+  return (a < b) ? -1 : ((a > b) ? 1 : 0);
+}
+
+/** Functions whose arguments are evaluated first (returning any error argument). */
+const EAGER_FNS = {
+  FIND: (findText, withinText) => {
+    const idx = toText(withinText).indexOf(toText(findText));
+    return (idx < 0) ? VALUE_ERR : (idx + 1);
+  },
+  INT: (x) => Math.floor(x),
+  LEFT: (text, numChars) => (numChars < 0) ? VALUE_ERR :
+      toText(text).slice(0, Math.trunc(numChars)),
+  LEN: (text) => toText(text).length,
+  MID: (text, start, numChars) => ((start < 1) || (numChars < 0)) ? VALUE_ERR :
+      toText(text).substr(Math.trunc(start) - 1, Math.trunc(numChars)),
+  MOD: (x, divisor) => (divisor === 0) ? DIV_ERR : (x - (divisor * Math.floor(x / divisor))),
+  NOT: (x) => !x,
+  REPT: (text, count) => toText(text).repeat(Math.trunc(count)),
+  TEXT: (x, format) => {
+    assert.match(format, /^0*$/, 'only zero-padded TEXT formats are supported');
+    const rounded = Math.round(Math.abs(x));
+    return ((x < 0) && (rounded > 0) ? '-' : '') +
+        ((format === '') ? '' : String(rounded).padStart(format.length, '0'));
+  },
+  TRIM: (text) => toText(text).replace(/^ +| +$/g, '').replace(/ {2,}/g, ' '),
+};
+
+/** Argument types of EAGER_FNS (coerced before the call), 'any' if not coerced. */
+const EAGER_FN_ARG_TYPES = {
+  FIND: ['any', 'any'],
+  INT: ['number'],
+  LEFT: ['any', 'number'],
+  LEN: ['any'],
+  MID: ['any', 'number', 'number'],
+  MOD: ['number', 'number'],
+  NOT: ['bool'],
+  REPT: ['any', 'number'],
+  TEXT: ['number', 'any'],
+  TRIM: ['any'],
+};
+
+/**
+ * @param {!Object} expr
+ * @param {!Map<string, *>} env Values of LET and LAMBDA names.
+ * @return {*} Number, string, boolean, ExcelError, or (for LAMBDA) a JS function.
+ */
+function evaluate(expr, env) {
+  switch (expr.type) {
+    case 'literal':
+      return expr.value;
+    case 'name':
+      if (!env.has(expr.name)) {
+        return new ExcelError('#NAME?');
+      }
+      return env.get(expr.name);
+    case 'unary': {
+      const arg = evaluate(expr.arg, env);
+      const num = (arg instanceof ExcelError) ? arg : toNumber(arg);
+      return ((num instanceof ExcelError) || (expr.op === '+')) ? num : -num;
+    }
+    case 'binary':
+      return evaluateBinary(expr, env);
+    case 'call':
+      return evaluateCall(expr, env);
+  }
+  throw new Error(`unknown expression type: ${expr.type}`);
+}
+
+/**
+ * @param {!Object} expr
+ * @param {!Map<string, *>} env
+ * @return {*}
+ */
+function evaluateBinary(expr, env) {
+  const left = evaluate(expr.left, env);
+  const right = evaluate(expr.right, env);
+  if (left instanceof ExcelError) {
+    return left;
+  }
+  if (right instanceof ExcelError) {
+    return right;
+  }
+
+  switch (expr.op) {
+    case '&': return toText(left) + toText(right);
+    case '=': return compare(left, right) === 0;
+    case '<>': return compare(left, right) !== 0;
+    case '<': return compare(left, right) < 0;
+    case '>': return compare(left, right) > 0;
+    case '<=': return compare(left, right) <= 0;
+    case '>=': return compare(left, right) >= 0;
+  }
+
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a instanceof ExcelError) {
+    return a;
+  }
+  if (b instanceof ExcelError) {
+    return b;
+  }
+  switch (expr.op) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return (b === 0) ? DIV_ERR : (a / b);
+  }
+  throw new Error(`unknown operator: ${expr.op}`);
+}
+
+/**
+ * @param {!Object} expr
+ * @param {!Map<string, *>} env
+ * @return {*}
+ */
+function evaluateCall(expr, env) {
+  const args = expr.args;
+  switch (expr.name) {
+    case 'LAMBDA': {
+      const params = args.slice(0, -1).map((param) => param.name);
+      const body = args[args.length - 1];
+      return (...values) => evaluate(body, new Map([
+        ...env, ...params.map((param, idx) => [param, values[idx]])]));
+    }
+    case 'LET': {
+      const letEnv = new Map(env);
+      for (let idx = 0; idx < args.length - 1; idx += 2) {
+        letEnv.set(args[idx].name, evaluate(args[idx + 1], letEnv));
+      }
+      return evaluate(args[args.length - 1], letEnv);
+    }
+    case 'IF': {
+      const condition = evaluate(args[0], env);
+      const isTrue = (condition instanceof ExcelError) ? condition : toBool(condition);
+      if (isTrue instanceof ExcelError) {
+        return isTrue;
+      }
+      return isTrue ? evaluate(args[1], env) : ((args.length > 2) ? evaluate(args[2], env) : false);
+    }
+    case 'IFERROR': {
+      const value = evaluate(args[0], env);
+      return (value instanceof ExcelError) ? evaluate(args[1], env) : value;
+    }
+    case 'ISERROR':
+      return evaluate(args[0], env) instanceof ExcelError;
+    case 'ISNUMBER':
+      return typeof evaluate(args[0], env) === 'number';
+    case 'AND':
+    case 'OR': {
+      const values = args.map((arg) => evaluate(arg, env));
+      const err = values.find((value) => value instanceof ExcelError);
+      if (err) {
+        return err;
+      }
+      const bools = values.map(toBool);
+      const boolErr = bools.find((value) => value instanceof ExcelError);
+      if (boolErr) {
+        return boolErr;
+      }
+      return (expr.name === 'AND') ? bools.every(Boolean) : bools.some(Boolean);
+    }
+  }
+
+  const named = env.get(expr.name);
+  if (typeof named === 'function') {
+    return named(...args.map((arg) => evaluate(arg, env)));  // A named LAMBDA.
+  }
+
+  const fn = EAGER_FNS[expr.name];
+  if (!fn) {
+    throw new Error(`unsupported function: ${expr.name}`);
+  }
+  const values = [];
+  for (const [idx, arg] of args.entries()) {
+    let value = evaluate(arg, env);
+    const argType = EAGER_FN_ARG_TYPES[expr.name][idx];
+    if (!(value instanceof ExcelError) && (argType !== 'any')) {
+      value = (argType === 'number') ? toNumber(value) : toBool(value);
+    }
+    if (value instanceof ExcelError) {
+      return value;
+    }
+    values.push(value);
+  }
+  return fn(...values);
+}
+
+/**
+ * @param {string} formula A LAMBDA formula.
+ * @return {function(*): *} The LAMBDA as a JS function of a cell value.
+ */
+function lambdaFn(formula) {
+  const fn = evaluate(parseFormula(formula), new Map());
+  assert.equal(typeof fn, 'function', 'formula is not a LAMBDA');
+  return fn;
+}
+
+//==================================================================================================
+// Tests
+//==================================================================================================
+
+describe('Excel formula interpreter', () => {
+  const evalFormula = (formula) => evaluate(parseFormula(formula), new Map());
+
+  it('follows Excel evaluation rules', () => {
+    assert.equal(evalFormula('=--"05"+1'), 6);
+    assert.equal(evalFormula('=--"5a"').code, '#VALUE!');
+    assert.equal(evalFormula('=FIND("",":;")'), 1);
+    assert.equal(evalFormula('=MID("abc",5,2)'), '');
+    assert.equal(evalFormula('=TEXT(--"007",REPT("0",3))'), '007');
+    assert.equal(evalFormula('=1<"0"'), true);
+    assert.equal(evalFormula('=IF(TRUE,1,1/0)'), 1);
+    assert.equal(evalFormula('=IFERROR(AND(TRUE,1/0),"err")'), 'err');
+    assert.equal(evalFormula('=LET(a,2,b,a*3,a+b)'), 8);
+    assert.equal(evalFormula('=TRIM("  a  b ")'), 'a b');
+  });
+});
+
+/** Timecode standards to check, with both FF digit counts and both drop types. */
+const TC_STDS = [
+  {frameRate: '23.976', dropType: 'non-drop'},
+  {frameRate: '25.00', dropType: 'non-drop'},
+  {frameRate: '29.97', dropType: 'drop'},
+  {frameRate: '29.97', dropType: 'non-drop'},
+  {frameRate: '59.94', dropType: 'drop'},
+  {frameRate: '100.00', dropType: 'non-drop'},
+  {frameRate: '119.88', dropType: 'drop'},
+  {frameRate: '120.00', dropType: 'non-drop'},
+];
+
+/** Cell values to check in every standard. */
+const CELL_VALUES = [
+  '00:00:00:00', '01:02:03:04', '23:59:59:23', '99:59:59:23', ' 01:00:00:00 ',
+  '01:00:00:24', '01:00:00:29', '01:00:00:59', '01:00:00:99', '01:00:60:00', '01:60:00:00',
+  '1:00:00:00', '01:00:00:0', '001:00:00:00', '01:00:00:00:00', '01-00-00-00', '01.00.00.00',
+  '01:00:00;00', '01;00;00;00', '01:01:00;00', '01:01:00;01', '01:01:00:02', '01:01:00;03',
+  '01:01:00;04', '01:01:00;07', '01:01:00;08', '01:10:00;00', '01:11:00:01',
+  '01:00:00:023', '01:00:00:099', '01:00:00:119', '01:00:00:120', '01:00:00:1190',
+  '01:00:00:00.00', '01:00:00:00.50', '01:00:00:00.99', '01:00:00:00.5', '01:00:00:00.',
+  '01:00:00:00.500', '01:00:00:00.5a',
+  '-01:00:00:00', '+1:00:00:00', '01:00:00:0a', '1e:00:00:00', '01:00:00: 1', 'abc', '',
+  0, 1000000, 1000024, 1002300, 1005900, 1010000, 1010002, 1100000, 23595923, 99999999,
+  100000000, -1000000, 1.5, true,
+];
+
+for (const tcStd of TC_STDS) {
+  describe(`validation LAMBDA for ${tcStd.frameRate} ${tcStd.dropType}`, () => {
+    const rules = tcValidationRules(tcStd);
+    const isValid = lambdaFn(rules.formula);
+    const isHighlighted = (value) => evaluate(parseFormula(highlightFormula(rules, 'A1')),
+        new Map([[rules.name, isValid], ['A1', value]]));
+
+    for (const value of CELL_VALUES) {
+      it(`matches TC_ERROR for ${JSON.stringify(value)}`, () => {
+        const tcErr = TC_ERROR(value, tcStd.frameRate, tcStd.dropType);
+        assert.equal(isValid(value), (tcErr === ''), tcErr);
+        assert.equal(isHighlighted(value), (value !== '') && (tcErr !== ''), tcErr);
+      });
+    }
+  });
+}
+
+describe('parseTcStdComment', () => {
+  it('parses the timecode standard of a marked column', () => {
+    assert.deepEqual(parseTcStdComment('{"frameRate":"23.976","dropType":"non-drop"}'),
+        {frameRate: '23.976', dropType: 'non-drop'});
+  });
+
+  it('rejects a hand-edited comment', () => {
+    for (const comment of ['', 'not JSON', '5', 'null', '{"dropType":"drop"}', '{"frameRate":5}']) {
+      assert.throws(() => parseTcStdComment(comment), /invalid timecode standard/, comment);
+    }
+  });
+});
@@ -18,6 +18,11 @@ module.exports = async (env, options) => {
     resolve: {
       extensions: ['.ts', '.tsx', '.html', '.js']
     },
+    optimization: {
+      // One webpack runtime for every page, so that the shared runtime page loads each
+      // module (e.g. functions.js, which taskpane.js and commands.js also require) once.
+      runtimeChunk: 'single'
+    },
     module: {
       rules: [
         {
@@ -49,15 +54,23 @@ module.exports = async (env, options) => {
         output: 'functions.json',
         input: './src/functions/functions.js'
       }),
+      // Pages of the 1.0.0.0 manifest (before the shared runtime), still served for
+      // installed copies that have not updated to the current manifest yet.
       new HtmlWebpackPlugin({
         filename: 'functions.html',
         template: './src/functions/functions.html',
-        chunks: ['polyfill', 'functions']
+        chunks: ['runtime', 'polyfill', 'functions']
+      }),
+      new HtmlWebpackPlugin({
+        filename: 'commands.html',
+        template: './src/commands/commands.html',
+        chunks: ['runtime', 'polyfill', 'commands']
       }),
       new HtmlWebpackPlugin({
         filename: 'taskpane.html',
         template: './src/taskpane/taskpane.html',
-        chunks: ['polyfill', 'taskpane']
+        // Shared runtime: the task pane page also runs the custom functions and commands.
+        chunks: ['runtime', 'polyfill', 'taskpane', 'commands', 'functions']
       }),
       new CopyWebpackPlugin([
         {
@@ -68,12 +81,7 @@ module.exports = async (env, options) => {
           from: './assets/**/*',
           to: './'
         }
-      ]),
-      new HtmlWebpackPlugin({
-        filename: 'commands.html',
-        template: './src/commands/commands.html',
-        chunks: ['polyfill', 'commands']
-      })
+      ])
     ],
     devServer: {
       headers: {